@@ -2,6 +2,8 @@ import { stringify } from 'csv-stringify/sync';
 import { writeFile, mkdir } from 'fs/promises';
 import { join } from 'path';
 import dbManager from './src/db/DatabaseListingsManager.js';
+import { groupBySeller } from './src/utils/helpers.js';
+import { rankBySellerScore } from './src/services/sellerScore.js';
 
 // Ensure exports directory exists
 async function ensureExportsDir() {
@@ -17,10 +19,10 @@ async function generatePreviousListingsCSV() {
     try {
         // Get all active items from database
         const query = `
-            SELECT item_id, title, price, seller_id, first_found_at, last_seen_at
+            SELECT item_id, title, price, previous_price, currency, seller_id, seller_score, first_found_at, last_seen_at
             FROM all_search_results
             WHERE is_active = 1
-            ORDER BY last_seen_at DESC
+            ORDER BY seller_score IS NULL, seller_score DESC, last_seen_at DESC
         `;
 
         const results = dbManager.db.prepare(query).all();
@@ -28,7 +30,7 @@ async function generatePreviousListingsCSV() {
         // Convert to CSV format
         const csvData = stringify(results, {
             header: true,
-            columns: ['item_id', 'title', 'price', 'seller_id', 'first_found_at', 'last_seen_at']
+            columns: ['item_id', 'title', 'price', 'previous_price', 'currency', 'seller_id', 'seller_score', 'first_found_at', 'last_seen_at']
         });
 
         return csvData;
@@ -38,25 +40,34 @@ async function generatePreviousListingsCSV() {
     }
 }
 
+// Rows of the same seller together, best seller score first, each with the seller's listing count
+function groupRowsBySeller(rows) {
+    return groupBySeller(rankBySellerScore(rows), row => row.seller).flatMap(group =>
+        group.listings.map(row => ({ ...row, sellerListings: group.listings.length })));
+}
+
 // Convert search results to CSV
 function generateSearchResultsCSV(results) {
-    const csvData = stringify(results.map(item => ({
+    const csvData = stringify(groupRowsBySeller(results.map(item => ({
         title: item.title,
         price: item.price,
         currency: item.currency,
         seller: item.seller,
         feedbackScore: item.feedbackScore,
+        sellerScore: item.sellerScore,
+        previousPrice: item.priceDrop?.previousPrice ?? '',
         link: item.link
-    })), {
+    }))), {
         header: true,
-        columns: ['title', 'price', 'currency', 'seller', 'feedbackScore', 'link']
+        columns: ['seller', 'sellerScore', 'sellerListings', 'feedbackScore', 'title', 'price', 'previousPrice', 'currency', 'link']
     });
 
     return csvData;
 }
 
 // Auto-export scan results to file
-async function autoExportScanResults(results, searchName = 'scan') {
+// currency is the scan marketplace's, used for items that don't state their own
+async function autoExportScanResults(results, searchName = 'scan', currency = 'USD') {
     try {
         await ensureExportsDir();
 
@@ -68,16 +79,19 @@ async function autoExportScanResults(results, searchName = 'scan') {
         const simplifiedResults = results.map(item => ({
             title: item.title || 'N/A',
             price: item.price?.value || 'N/A',
-            currency: item.price?.currency || 'USD',
+            currency: item.price?.currency || currency,
             seller: item.seller?.username || 'N/A',
             feedbackScore: item.seller?.feedbackScore || 'N/A',
+            sellerScore: item.sellerScore ?? null,
+            // Set when the item came back because its price dropped
+            previousPrice: item.priceDrop?.previousPrice ?? '',
             link: item.itemWebUrl || '#',
             itemId: item.itemId || 'N/A'
         }));
 
-        const csvData = stringify(simplifiedResults, {
+        const csvData = stringify(groupRowsBySeller(simplifiedResults), {
             header: true,
-            columns: ['title', 'price', 'currency', 'seller', 'feedbackScore', 'itemId', 'link']
+            columns: ['seller', 'sellerScore', 'sellerListings', 'feedbackScore', 'title', 'price', 'previousPrice', 'currency', 'itemId', 'link']
         });
 
         await writeFile(filepath, csvData, 'utf8');
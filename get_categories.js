@@ -1,15 +1,34 @@
 import fetch from 'node-fetch';
+import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import fetchAccessToken from './auth.js';
+import fetchAccessToken from './src/services/auth.js';
+import { recordApiCall } from './src/services/apiBudget.js';
+import { getTaxonomyApiUrl } from './src/services/ebayConfig.js';
+import { getMarketplace, DEFAULT_MARKETPLACE } from './src/constants/marketplaces.js';
+import dbManager from './src/db/DatabaseListingsManager.js';
 import fs from 'fs/promises';
 
-async function getEbayCategories() {
+// Load environment variables (credentials, EBAY_ENVIRONMENT / EBAY_API_BASE_URL)
+dotenv.config();
+
+// Downloads a marketplace's category tree (category IDs differ between marketplaces)
+async function getEbayCategories(marketplaceId = DEFAULT_MARKETPLACE) {
     try {
+        const marketplace = getMarketplace(marketplaceId);
+        if (!marketplace) {
+            throw new Error(`Unsupported marketplace: ${marketplaceId}`);
+        }
+
+        // Calls are counted in the API usage ledger, like the scanner's
+        dbManager.init();
+
         const token = await fetchAccessToken();
-        const categoryTreeId = 0;
+        const { categoryTreeId } = marketplace;
+        console.log(`Fetching the ${marketplace.id} category tree (${categoryTreeId})...`);
         
+        recordApiCall('category_tree');
         const response = await fetch(
-            `https://api.ebay.com/commerce/taxonomy/v1/category_tree/${categoryTreeId}`, {
+            `${getTaxonomyApiUrl()}/category_tree/${categoryTreeId}`, {
             headers: {
                 'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json'
@@ -61,15 +80,16 @@ async function getEbayCategories() {
             console.log('Available keys in response:', Object.keys(data));
         }
 
-        // Save categories to files
+        // Save categories to files, named by marketplace so each keeps its own tree
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const baseName = `ebay_categories_${marketplace.id}_${timestamp}`;
         
         // Save as JSON
         await fs.writeFile(
-            `ebay_categories_${timestamp}.json`,
+            `${baseName}.json`,
             JSON.stringify(categories, null, 2)
         );
-        console.log(`\nCategories saved to ebay_categories_${timestamp}.json`);
+        console.log(`\nCategories saved to ${baseName}.json`);
 
         // Save as CSV
         const csvContent = [
@@ -80,10 +100,10 @@ async function getEbayCategories() {
         ].join('\n');
         
         await fs.writeFile(
-            `ebay_categories_${timestamp}.csv`,
+            `${baseName}.csv`,
             csvContent
         );
-        console.log(`Categories saved to ebay_categories_${timestamp}.csv`);
+        console.log(`Categories saved to ${baseName}.csv`);
 
         return categories;
 
@@ -93,9 +113,9 @@ async function getEbayCategories() {
     }
 }
 
-// If running this file directly
+// If running this file directly: node get_categories.js [marketplace]
 if (process.argv[1] === fileURLToPath(import.meta.url)) {
-    getEbayCategories()
+    getEbayCategories(process.argv[2])
         .then(() => console.log('\nCategory fetch complete'))
         .catch(error => console.error('Failed to fetch categories:', error));
 }
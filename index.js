@@ -2,6 +2,8 @@ import express from 'express';
 import dotenv from 'dotenv';
 import dbManager from './src/db/DatabaseListingsManager.js';
 import apiRoutes from './src/routes/api.js';
+import { startScheduler, stopScheduler } from './src/services/scheduler.js';
+import { startRecheckJob, stopRecheckJob } from './src/services/recheck.js';
 
 // Load environment variables
 dotenv.config();
@@ -37,9 +39,17 @@ export function createServer() {
         console.log('Server is running on http://localhost:3000');
     });
 
+    // Run scheduled saved searches (catches up on runs missed while stopped)
+    startScheduler();
+
+    // Look tracked listings up again to spot ended and sold ones
+    startRecheckJob();
+
     // Graceful shutdown - close database connection on exit
     process.on('SIGINT', () => {
         console.log('\nShutting down gracefully...');
+        stopScheduler();
+        stopRecheckJob();
         dbManager.close();
         server.close(() => {
             console.log('Server closed');
@@ -22,6 +22,65 @@ async function loadConditions() {
     });
 }
 
+async function loadMarketplaces() {
+    const marketplaceSelect = document.getElementById('marketplace');
+    const marketplaces = await fetch('/api/marketplaces').then(res => res.json());
+
+    marketplaces.forEach(marketplace => {
+        const option = document.createElement('option');
+        option.value = marketplace.id;
+        option.textContent = `${marketplace.name} - ${marketplace.currency}`;
+        marketplaceSelect.appendChild(option);
+    });
+}
+
+// Threshold the server applies when a search sets none (from /api/detection-modes)
+let defaultSpecialistThreshold = null;
+async function loadDetectionDefaults() {
+    ({ defaultSpecialistThreshold } = await fetch('/api/detection-modes').then(res => res.json()));
+    document.getElementById('specialistThreshold').placeholder =
+        `Specialist above this % (default ${defaultSpecialistThreshold})`;
+}
+
+// Suggest categories from the stored category tree as the user types
+let categorySearchTimer = null;
+function handleCategorySearchInput(event) {
+    const value = event.target.value.trim();
+
+    // A suggestion was picked: its ID is in brackets at the end
+    const picked = value.match(/\((\d+)\)$/);
+    if (picked) {
+        const idsInput = document.getElementById('categoryIds');
+        const ids = parseIdList(idsInput.value);
+        if (!ids.includes(picked[1])) ids.push(picked[1]);
+        idsInput.value = ids.join(', ');
+        event.target.value = '';
+        return;
+    }
+
+    clearTimeout(categorySearchTimer);
+    if (value.length < 2) return;
+
+    categorySearchTimer = setTimeout(async () => {
+        try {
+            // Category IDs differ between marketplaces, so look them up in the selected one's tree
+            const marketplace = document.getElementById('marketplace').value;
+            const categories = await fetch(`/api/categories?q=${encodeURIComponent(value)}&marketplace=${encodeURIComponent(marketplace)}`)
+                .then(res => res.json());
+            document.getElementById('categoryOptions').innerHTML = categories.map(category =>
+                `<option value="${category.path} (${category.categoryId})"></option>`
+            ).join('');
+        } catch (error) {
+            console.error('Error searching categories:', error);
+        }
+    }, 250);
+}
+
+// Split a comma-separated list into trimmed, non-empty values
+function parseIdList(text) {
+    return text.split(',').map(s => s.trim()).filter(Boolean);
+}
+
 // Form submission handler
 async function handleScanSubmit(e) {
   e.preventDefault();
@@ -31,8 +90,26 @@ async function handleScanSubmit(e) {
     const formData = {
         searchPhrases: document.getElementById('searchPhrases').value.split(',').map(s => s.trim()),
         typicalPhrases: document.getElementById('typicalPhrases').value.split(',').map(s => s.trim()),
+        excludedTerms: parseIdList(document.getElementById('excludedTerms').value),
+        sortOrder: document.getElementById('sortOrder').value || null,
+        maxItems: document.getElementById('maxItems').value || null,
+        priceDropPercent: document.getElementById('priceDropPercent').value || null,
         feedbackThreshold: parseInt(document.getElementById('feedbackThreshold').value),
         conditions: Array.from(document.querySelectorAll('input[name="conditions"]:checked')).map(cb => cb.value),
+        marketplace: document.getElementById('marketplace').value,
+        categoryIds: parseIdList(document.getElementById('categoryIds').value),
+        minPrice: document.getElementById('minPrice').value || null,
+        maxPrice: document.getElementById('maxPrice').value || null,
+        buyingOptions: Array.from(document.querySelectorAll('input[name="buyingOptions"]:checked')).map(cb => cb.value),
+        listedWithinHours: document.getElementById('listedWithinHours').value || null,
+        detectionMode: document.getElementById('detectionMode').value,
+        specialistCategoryIds: parseIdList(document.getElementById('specialistCategoryIds').value),
+        specialistThreshold: document.getElementById('specialistThreshold').value || null,
+        minRatio: document.getElementById('minRatio').value || null,
+        minSampleSize: document.getElementById('minSampleSize').value || null,
+        listingMode: document.getElementById('listingMode').value,
+        listingLimit: document.getElementById('listingLimit').value || null,
+        scoreWeights: readScoreWeights(),
         // Include searchId if we're using a saved search
         searchId: document.getElementById('savedSearches').value || null
     };
@@ -64,48 +141,111 @@ async function handleScanSubmit(e) {
             return;
         }
 
-        // Check for duplicate searches before saving
+        const schedule = document.getElementById('searchSchedule').value.trim() || null;
+
+        // Check for duplicate searches before saving (the schedule is compared below)
         const existingSearches = await fetch('/api/saves/searches').then(r => r.json());
-        const isDuplicate = existingSearches.some(search =>
+        const duplicate = existingSearches.find(search =>
             search.name === searchName &&
             arraysEqual(search.search_phrases, formData.searchPhrases) &&
             arraysEqual(search.typical_phrases, formData.typicalPhrases) &&
+            arraysEqual(search.excluded_terms || [], formData.excludedTerms) &&
+            search.sort_order === formData.sortOrder &&
+            search.max_items === (formData.maxItems === null ? null : Number(formData.maxItems)) &&
+            search.price_drop_percent === (formData.priceDropPercent === null ? null : Number(formData.priceDropPercent)) &&
             search.feedback_threshold === formData.feedbackThreshold &&
-            arraysEqual(search.conditions, formData.conditions)
+            arraysEqual(search.conditions, formData.conditions) &&
+            search.marketplace === formData.marketplace &&
+            arraysEqual(search.category_ids || [], formData.categoryIds) &&
+            search.min_price === (formData.minPrice === null ? null : Number(formData.minPrice)) &&
+            search.max_price === (formData.maxPrice === null ? null : Number(formData.maxPrice)) &&
+            arraysEqual(search.buying_options || [], formData.buyingOptions) &&
+            search.listed_within_hours === (formData.listedWithinHours === null ? null : Number(formData.listedWithinHours)) &&
+            search.detection_mode === formData.detectionMode &&
+            arraysEqual(search.specialist_category_ids || [], formData.specialistCategoryIds) &&
+            search.specialist_threshold === (formData.specialistThreshold === null ? defaultSpecialistThreshold : Number(formData.specialistThreshold)) &&
+            search.min_ratio === (formData.minRatio === null ? null : Number(formData.minRatio)) &&
+            search.min_sample_size === (formData.minSampleSize === null ? null : Number(formData.minSampleSize)) &&
+            search.listing_mode === formData.listingMode &&
+            search.listing_limit === (formData.listingLimit === null ? null : Number(formData.listingLimit)) &&
+            JSON.stringify(search.score_weights || null) === JSON.stringify(formData.scoreWeights)
         );
 
-        if (isDuplicate) {
-            const proceed = confirm('A search with identical criteria already exists. Save anyway?');
-            if (!proceed) return;
-        }
+        // Same criteria with a new schedule: change the existing search's schedule instead of saving a copy
+        if (duplicate && (duplicate.schedule || null) !== schedule) {
+            try {
+                const response = await fetch(`/api/saves/search/${duplicate.id}/schedule`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ schedule })
+                });
+
+                if (!response.ok) {
+                    const { error } = await response.json();
+                    throw new Error(error || 'Failed to update schedule');
+                }
 
-        // Save the search to database
-        try {
-            const searchData = {
-                name: searchName,
-                searchPhrases: formData.searchPhrases,
-                typicalPhrases: formData.typicalPhrases,
-                feedbackThreshold: formData.feedbackThreshold,
-                conditions: formData.conditions
-            };
+                console.log('Schedule updated for search', duplicate.id);
+            } catch (error) {
+                console.error('Error updating schedule:', error);
+                alert(`Failed to update schedule: ${error.message}`);
+                return;
+            }
+        } else {
+            if (duplicate) {
+                const proceed = confirm('A search with identical criteria already exists. Save anyway?');
+                if (!proceed) return;
+            }
+
+            // Save the search to database
+            try {
+                const searchData = {
+                    name: searchName,
+                    searchPhrases: formData.searchPhrases,
+                    typicalPhrases: formData.typicalPhrases,
+                    excludedTerms: formData.excludedTerms,
+                    sortOrder: formData.sortOrder,
+                    maxItems: formData.maxItems,
+                    priceDropPercent: formData.priceDropPercent,
+                    feedbackThreshold: formData.feedbackThreshold,
+                    conditions: formData.conditions,
+                    marketplace: formData.marketplace,
+                    categoryIds: formData.categoryIds,
+                    minPrice: formData.minPrice,
+                    maxPrice: formData.maxPrice,
+                    buyingOptions: formData.buyingOptions,
+                    listedWithinHours: formData.listedWithinHours,
+                    detectionMode: formData.detectionMode,
+                    specialistCategoryIds: formData.specialistCategoryIds,
+                    specialistThreshold: formData.specialistThreshold,
+                    minRatio: formData.minRatio,
+                    minSampleSize: formData.minSampleSize,
+                    listingMode: formData.listingMode,
+                    listingLimit: formData.listingLimit,
+                    scoreWeights: formData.scoreWeights,
+                    schedule
+                };
             
-            const response = await fetch('/api/saves/search', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(searchData)
-            });
+                const response = await fetch('/api/saves/search', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(searchData)
+                });
             
-            if (!response.ok) {
-                throw new Error('Failed to save search');
-            }
+                if (!response.ok) {
+                    throw new Error('Failed to save search');
+                }
             
-            console.log('Search saved successfully');
-        } catch (error) {
-            console.error('Error saving search:', error);
-            alert('Failed to save search. Please try again.');
-            return;
+                console.log('Search saved successfully');
+            } catch (error) {
+                console.error('Error saving search:', error);
+                alert('Failed to save search. Please try again.');
+                return;
+            }
         }
     }
 
@@ -173,8 +313,8 @@ async function pollResults() {
                 logArea.scrollTop = logArea.scrollHeight; // Auto-scroll to bottom
             }
 
-            // Check if scan is complete
-            if (data.status === 'completed' || data.status === 'error') {
+            // Check if scan is complete (a cancelled or stopped scan still shows its partial results)
+            if (['completed', 'cancelled', 'stopped', 'error'].includes(data.status)) {
                 clearInterval(pollInterval);
                 document.getElementById('loading').style.display = 'none';
 
@@ -196,32 +336,66 @@ async function pollResults() {
     }, 2000); // Poll every 2 seconds
 }
 
+// Ask the server to stop the running scan
+async function cancelScan() {
+    try {
+        const response = await fetch('/api/scan/cancel', { method: 'POST' });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to cancel scan');
+        }
+        document.getElementById('cancelScanButton').disabled = true;
+    } catch (error) {
+        console.error('Error cancelling scan:', error);
+        alert(error.message);
+    }
+}
+
 // Display scan results
 function displayResults(data) {
     document.getElementById('results').style.display = 'block';
+    document.getElementById('cancelScanButton').disabled = false;
     document.getElementById('totalListings').textContent = data.totalListings;
-    document.getElementById('lastUpdated').textContent = new Date(data.lastUpdated).toLocaleString();
+    document.getElementById('lastUpdated').textContent = new Date(data.lastUpdated).toLocaleString()
+        + (data.status === 'cancelled' ? ' (scan cancelled - partial results)' : '')
+        + (data.status === 'stopped' ? ` (${data.error || 'daily API budget exhausted'} - partial results)` : '');
 
     const tableBody = document.getElementById('resultTable');
     tableBody.innerHTML = '';
 
-    data.listings.forEach(item => {
-        const row = tableBody.insertRow();
-        row.innerHTML = `
-            <td>${item.title}</td>
-            <td>${item.price}</td>
-            <td>${item.currency}</td>
-            <td>${item.seller}</td>
-            <td>${item.feedbackScore}</td>
-            <td><a href="${item.link}" target="_blank">View</a></td>
-        `;
+    // Listings come grouped by seller; name the seller once per group
+    (data.sellers || []).forEach(group => {
+        group.listings.forEach((item, index) => {
+            const row = tableBody.insertRow();
+            row.innerHTML = `
+                <td>${item.title}${item.priceDrop ? ` <strong>(Price drop: was ${item.priceDrop.previousPrice}, -${item.priceDrop.dropPercent}%)</strong>` : ''}</td>
+                <td>${item.price}</td>
+                <td>${item.currency}</td>
+                <td>${index === 0 ? item.seller + (group.listingCount > 1 ? ` (${group.listingCount} listings)` : '') : ''}</td>
+                <td>${index === 0 ? item.feedbackScore : ''}</td>
+                <td>${index === 0 && group.sellerScore !== null ? group.sellerScore : ''}</td>
+                <td><a href="${item.link}" target="_blank">View</a></td>
+            `;
+        });
     });
 }
 
-// Load saved search results (only when viewing saved searches)
+// Score weights the user filled in, keyed by factor (null when all are left at their defaults)
+function readScoreWeights() {
+    const weights = {};
+    document.querySelectorAll('input[name="scoreWeights"]').forEach(input => {
+        if (input.value !== '') {
+            weights[input.dataset.factor] = Number(input.value);
+        }
+    });
+    return Object.keys(weights).length > 0 ? weights : null;
+}
+
+// Load saved search results (only when viewing saved searches); live listings unless asked otherwise
 async function loadSavedSearchResults(searchId) {
     try {
-        const response = await fetch(`/api/saves/search/${searchId}/results`);
+        const includeEnded = document.getElementById('includeEnded').checked;
+        const response = await fetch(`/api/saves/search/${searchId}/results${includeEnded ? '?includeEnded=true' : ''}`);
         if (!response.ok) throw new Error('Failed to fetch saved results');
         
         const results = await response.json();
@@ -249,7 +423,30 @@ async function handleSavedSearchSelect(event) {
         // Populate form
         document.getElementById('searchPhrases').value = search.search_phrases.join(', ');
         document.getElementById('typicalPhrases').value = search.typical_phrases.join(', ');
+        document.getElementById('excludedTerms').value = (search.excluded_terms || []).join(', ');
+        document.getElementById('sortOrder').value = search.sort_order || '';
+        document.getElementById('maxItems').value = search.max_items ?? '';
+        document.getElementById('priceDropPercent').value = search.price_drop_percent ?? '';
         document.getElementById('feedbackThreshold').value = search.feedback_threshold;
+        document.getElementById('searchSchedule').value = search.schedule || '';
+        document.getElementById('marketplace').value = search.marketplace || 'EBAY_US';
+        document.getElementById('categoryIds').value = (search.category_ids || []).join(', ');
+        document.getElementById('minPrice').value = search.min_price ?? '';
+        document.getElementById('maxPrice').value = search.max_price ?? '';
+        document.getElementById('listedWithinHours').value = search.listed_within_hours ?? '';
+        document.getElementById('detectionMode').value = search.detection_mode || 'title';
+        document.getElementById('specialistCategoryIds').value = (search.specialist_category_ids || []).join(', ');
+        document.getElementById('specialistThreshold').value = search.specialist_threshold ?? '';
+        document.getElementById('minRatio').value = search.min_ratio ?? '';
+        document.getElementById('minSampleSize').value = search.min_sample_size ?? '';
+        document.getElementById('listingMode').value = search.listing_mode || 'first';
+        document.getElementById('listingLimit').value = search.listing_limit ?? '';
+        document.querySelectorAll('input[name="scoreWeights"]').forEach(input => {
+            input.value = search.score_weights?.[input.dataset.factor] ?? '';
+        });
+        document.querySelectorAll('input[name="buyingOptions"]').forEach(checkbox => {
+            checkbox.checked = (search.buying_options || []).includes(checkbox.value);
+        });
         
         document.querySelectorAll('input[name="conditions"]').forEach(checkbox => {
             checkbox.checked = search.conditions.includes(checkbox.value);
@@ -281,8 +478,10 @@ async function displayCurrentSearchResults(results, isNewSearch = true) {
     const resultsHTML = results.map(item => `
         <div class="result-item ${item.isNew ? 'new-item' : ''}">
             <h3>${item.title}</h3>
-            <p>Price: $${item.price}</p>
+            <p>Price: ${item.price} ${item.currency || 'USD'}${item.previous_price !== null && item.previous_price !== undefined ? ` (was ${item.previous_price})` : ''}</p>
+            ${item.seller_score !== null && item.seller_score !== undefined ? `<p>Seller score: ${item.seller_score}</p>` : ''}
             <p>Status: ${item.isNew ? 'New' : 'Previously Found'}</p>
+            ${item.listing_status && item.listing_status !== 'live' ? `<p>Listing ${item.listing_status}${item.ended_at ? ` on ${new Date(item.ended_at).toLocaleString()}` : ''}${item.final_price !== null ? ` (final price ${item.final_price})` : ''}</p>` : ''}
             <p>Found: ${new Date(item.first_found_at || Date.now()).toLocaleString()}</p>
             <a href="${item.url}" target="_blank">View on eBay</a>
         </div>
@@ -295,7 +494,10 @@ async function displayCurrentSearchResults(results, isNewSearch = true) {
 document.addEventListener('DOMContentLoaded', async () => {
     try {
         await loadConditions();
+        await loadMarketplaces();
+        await loadDetectionDefaults();
         document.getElementById('scanForm').addEventListener('submit', handleScanSubmit);
+        document.getElementById('categorySearch').addEventListener('input', handleCategorySearchInput);
 
         // Check if there's already a scan in progress and start polling if so
         const response = await fetch('/api/results');
@@ -394,7 +596,30 @@ async function handleSavedSearchSelect(event) {
         // Populate form fields with saved search data
         document.getElementById('searchPhrases').value = search.search_phrases.join(', ');
         document.getElementById('typicalPhrases').value = search.typical_phrases.join(', ');
+        document.getElementById('excludedTerms').value = (search.excluded_terms || []).join(', ');
+        document.getElementById('sortOrder').value = search.sort_order || '';
+        document.getElementById('maxItems').value = search.max_items ?? '';
+        document.getElementById('priceDropPercent').value = search.price_drop_percent ?? '';
         document.getElementById('feedbackThreshold').value = search.feedback_threshold;
+        document.getElementById('searchSchedule').value = search.schedule || '';
+        document.getElementById('marketplace').value = search.marketplace || 'EBAY_US';
+        document.getElementById('categoryIds').value = (search.category_ids || []).join(', ');
+        document.getElementById('minPrice').value = search.min_price ?? '';
+        document.getElementById('maxPrice').value = search.max_price ?? '';
+        document.getElementById('listedWithinHours').value = search.listed_within_hours ?? '';
+        document.getElementById('detectionMode').value = search.detection_mode || 'title';
+        document.getElementById('specialistCategoryIds').value = (search.specialist_category_ids || []).join(', ');
+        document.getElementById('specialistThreshold').value = search.specialist_threshold ?? '';
+        document.getElementById('minRatio').value = search.min_ratio ?? '';
+        document.getElementById('minSampleSize').value = search.min_sample_size ?? '';
+        document.getElementById('listingMode').value = search.listing_mode || 'first';
+        document.getElementById('listingLimit').value = search.listing_limit ?? '';
+        document.querySelectorAll('input[name="scoreWeights"]').forEach(input => {
+            input.value = search.score_weights?.[input.dataset.factor] ?? '';
+        });
+        document.querySelectorAll('input[name="buyingOptions"]').forEach(checkbox => {
+            checkbox.checked = (search.buying_options || []).includes(checkbox.value);
+        });
         
         // Handle conditions checkboxes
         document.querySelectorAll('input[name="conditions"]').forEach(checkbox => {
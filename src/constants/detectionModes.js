@@ -0,0 +1,17 @@
+// detectionModes.js
+// How a search decides whether a seller is a specialist in the target category
+export const DETECTION_MODES = {
+    title: 'Titles matching the typical phrases',
+    category: 'Listings under the specialist categories',
+    combined: 'Either signal (the higher ratio decides)'
+};
+
+export const DEFAULT_DETECTION_MODE = 'title';
+
+// Sellers whose ratio is above this percentage are specialists (per-search specialistThreshold)
+export const DEFAULT_SPECIALIST_THRESHOLD = 20;
+
+// Modes that need specialist category IDs
+export function usesCategories(detectionMode) {
+    return detectionMode === 'category' || detectionMode === 'combined';
+}
@@ -0,0 +1,12 @@
+// listingModes.js
+// Which of a qualified seller's listings a search keeps
+export const LISTING_MODES = {
+    first: 'First listing found',
+    all: 'All matching listings',
+    cheapest: 'Cheapest N listings'
+};
+
+export const DEFAULT_LISTING_MODE = 'first';
+
+// N for the cheapest mode when a search doesn't set listingLimit
+export const DEFAULT_LISTING_LIMIT = 3;
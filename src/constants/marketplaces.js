@@ -0,0 +1,34 @@
+// marketplaces.js
+// eBay marketplaces a search can run on, the currency their prices are in and
+// their default category tree (category IDs differ between marketplaces)
+export const EBAY_MARKETPLACES = {
+    EBAY_US: {
+        id: 'EBAY_US',
+        name: 'United States (ebay.com)',
+        currency: 'USD',
+        categoryTreeId: '0'
+    },
+    EBAY_GB: {
+        id: 'EBAY_GB',
+        name: 'United Kingdom (ebay.co.uk)',
+        currency: 'GBP',
+        categoryTreeId: '3'
+    },
+    EBAY_DE: {
+        id: 'EBAY_DE',
+        name: 'Germany (ebay.de)',
+        currency: 'EUR',
+        categoryTreeId: '77'
+    }
+};
+
+export const DEFAULT_MARKETPLACE = 'EBAY_US';
+
+/**
+ * Looks up a marketplace by ID
+ * @param {string} [marketplaceId] - e.g. EBAY_GB (default: EBAY_US)
+ * @returns {Object|undefined} The marketplace, or undefined if it isn't supported
+ */
+export function getMarketplace(marketplaceId) {
+    return EBAY_MARKETPLACES[marketplaceId || DEFAULT_MARKETPLACE];
+}
@@ -0,0 +1,19 @@
+// searchPaging.js
+// How deep a search pages through eBay results and in which order they come back.
+// Sort keys are Browse API sort values, except bestMatch (no sort parameter)
+export const SORT_ORDERS = {
+    bestMatch: 'Best match',
+    newlyListed: 'Newly listed',
+    endingSoonest: 'Ending soonest',
+    price: 'Price + shipping: lowest first',
+    '-price': 'Price + shipping: highest first'
+};
+
+export const DEFAULT_SORT_ORDER = 'bestMatch';
+
+// Items fetched per phrase when a search doesn't set maxItems (three full pages)
+export const DEFAULT_MAX_ITEMS = 600;
+
+// Browse API limits: items per page, and offset + limit
+export const ITEMS_PER_PAGE = 200;
+export const MAX_SEARCH_ITEMS = 10000;
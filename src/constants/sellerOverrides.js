@@ -0,0 +1,7 @@
+// sellerOverrides.js
+// What a seller override does: exclude (blocklist) or include (allowlist)
+// the seller whatever their inventory analysis would say
+export const OVERRIDE_ACTIONS = {
+    exclude: 'Always exclude',
+    include: 'Always include'
+};
@@ -6,6 +6,34 @@ import logger from '../utils/logger.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Optional per-search settings stored as extra saved_searches columns
+ * Maps the camelCase setting name (as used by the API and startScan options)
+ * to its column. json: true columns hold JSON text and are parsed on read.
+ */
+const SEARCH_SETTING_COLUMNS = {
+    schedule: { column: 'schedule', definition: 'TEXT' },
+    scheduleEnabled: { column: 'schedule_enabled', definition: 'INTEGER DEFAULT 0' },
+    marketplace: { column: 'marketplace', definition: "TEXT NOT NULL DEFAULT 'EBAY_US'" },
+    categoryIds: { column: 'category_ids', definition: 'TEXT', json: true },
+    minPrice: { column: 'min_price', definition: 'REAL' },
+    maxPrice: { column: 'max_price', definition: 'REAL' },
+    buyingOptions: { column: 'buying_options', definition: 'TEXT', json: true },
+    listedWithinHours: { column: 'listed_within_hours', definition: 'INTEGER' },
+    detectionMode: { column: 'detection_mode', definition: "TEXT NOT NULL DEFAULT 'title'" },
+    specialistCategoryIds: { column: 'specialist_category_ids', definition: 'TEXT', json: true },
+    specialistThreshold: { column: 'specialist_threshold', definition: 'REAL NOT NULL DEFAULT 20' },
+    minRatio: { column: 'min_ratio', definition: 'REAL' },
+    minSampleSize: { column: 'min_sample_size', definition: 'INTEGER' },
+    listingMode: { column: 'listing_mode', definition: "TEXT NOT NULL DEFAULT 'first'" },
+    listingLimit: { column: 'listing_limit', definition: 'INTEGER' },
+    scoreWeights: { column: 'score_weights', definition: 'TEXT', json: true },
+    excludedTerms: { column: 'excluded_terms', definition: 'TEXT', json: true },
+    maxItems: { column: 'max_items', definition: 'INTEGER' },
+    sortOrder: { column: 'sort_order', definition: 'TEXT' },
+    priceDropPercent: { column: 'price_drop_percent', definition: 'REAL' }
+};
+
 /**
  * Database Schema Documentation
  *
@@ -16,11 +44,20 @@ const __dirname = dirname(__filename);
  * @column {TEXT} item_id - Unique eBay item identifier
  * @column {TEXT} title - Item listing title
  * @column {REAL} price - Item price
+ * @column {TEXT} currency - Currency of the price (e.g. USD, GBP, EUR)
+ * @column {TEXT} marketplace - eBay marketplace the item was found on (null = EBAY_US)
  * @column {TEXT} url - eBay listing URL
  * @column {TEXT} seller_id - eBay seller's identifier
+ * @column {REAL} seller_score - Seller's composite score (0-100) when the item was last saved
+ * @column {REAL} previous_price - Price before the drop that resurfaced the item (null = not a price drop)
  * @column {TEXT} first_found_at - When item was first discovered (ISO datetime)
  * @column {TEXT} last_seen_at - When item was last seen in search results (ISO datetime)
  * @column {INTEGER} is_active - Whether item is still available (1=true, 0=false)
+ * @column {TEXT} listing_status - live, ended or sold, from the last search
+ *                                 sighting or recheck
+ * @column {TEXT} ended_at - When the listing ended, if eBay reported it (ISO datetime)
+ * @column {REAL} final_price - Last price eBay reported for an ended or sold listing
+ * @column {TEXT} status_checked_at - When the recheck job last looked the item up (null = never)
  * @index idx_results_item_id - Index on item_id for faster lookups
  * @index idx_results_last_seen - Index on last_seen_at for date filtering
  *
@@ -34,6 +71,30 @@ const __dirname = dirname(__filename);
  * @column {INTEGER} feedback_threshold - Minimum seller rating
  * @column {TEXT} conditions - JSON array of acceptable item conditions
  * @column {TEXT} created_at - When search was created (ISO datetime)
+ * @column {INTEGER} is_adhoc - Record created for an unsaved scan (1=true, 0=false)
+ * @column {TEXT} schedule - Optional interval ("7d") or cron ("0 6 * * 1") schedule
+ * @column {INTEGER} schedule_enabled - Whether the scheduler runs this search (1=true, 0=false)
+ * @column {TEXT} next_run_at - When the scheduler should next run it (ISO datetime)
+ * @column {TEXT} last_run_at - When the scheduler last started it (ISO datetime)
+ * @column {TEXT} marketplace - eBay marketplace ID the search runs on (default EBAY_US)
+ * @column {TEXT} category_ids - JSON array of eBay category IDs to restrict to (null = all categories)
+ * @column {REAL} min_price - Lowest listing price to fetch, in the marketplace currency (null = no limit)
+ * @column {REAL} max_price - Highest listing price to fetch (null = no limit)
+ * @column {TEXT} buying_options - JSON array of AUCTION / FIXED_PRICE / BEST_OFFER (null = any)
+ * @column {INTEGER} listed_within_hours - Only fetch listings started in the last N hours (null = any age)
+ * @column {TEXT} detection_mode - How specialists are detected: title, category or combined (default title)
+ * @column {TEXT} specialist_category_ids - JSON array of category IDs whose subtrees count as the target category
+ * @column {REAL} specialist_threshold - Sellers above this % are excluded as specialists (default 20)
+ * @column {REAL} min_ratio - Sellers at or below this % are excluded as unrelated (null = keep them)
+ * @column {INTEGER} min_sample_size - Sellers with fewer sampled listings are "insufficient data" (null = no minimum)
+ * @column {TEXT} listing_mode - Listings kept per qualified seller: first (default), all or cheapest
+ * @column {INTEGER} listing_limit - How many listings the cheapest mode keeps (null = 3)
+ * @column {TEXT} score_weights - JSON object of seller score factor weights (null = defaults)
+ * @column {TEXT} excluded_terms - JSON array of negative keywords (null = none)
+ * @column {INTEGER} max_items - Most items fetched per phrase (null = 600)
+ * @column {TEXT} sort_order - Result order requested from eBay, a SORT_ORDERS key (null = best match)
+ * @column {REAL} price_drop_percent - Recently seen items whose price fell by more than this % are
+ *                                     shown again as price drops (null = never)
  *
  * 3. search_result_mappings
  * Maps items to the searches that found them (many-to-many relationship)
@@ -45,6 +106,68 @@ const __dirname = dirname(__filename);
  * @constraint FOREIGN KEY search_id REFERENCES saved_searches(id)
  * @constraint FOREIGN KEY result_id REFERENCES all_search_results(id)
  *
+ * 4. scan_runs
+ * History of every startScan invocation
+ * @table scan_runs
+ * @column {INTEGER} id - Primary key (auto-increment), used as the scan id
+ * @column {INTEGER} search_id - References saved_searches(id), null until known
+ * @column {TEXT} parameters - JSON object of the scan parameters
+ * @column {TEXT} trigger - What started the scan (manual or scheduled)
+ * @column {TEXT} status - running, completed, cancelled, stopped (API budget exhausted) or error
+ * @column {TEXT} error - Error message when the scan failed
+ * @column {TEXT} started_at - When the scan started (ISO datetime)
+ * @column {TEXT} finished_at - When the scan ended (ISO datetime)
+ * @column {INTEGER} total_listings - Number of qualified listings found
+ * @column {TEXT} phrase_stats - JSON array of per-phrase counts
+ * @index idx_scan_runs_started - Index on started_at for history listing
+ *
+ * 5. seller_profiles
+ * Last specialist analysis of each seller per marketplace, reused across scans
+ * @table seller_profiles
+ * @column {TEXT} seller_id - eBay seller username (primary key with marketplace)
+ * @column {TEXT} marketplace - eBay marketplace the inventory was sampled on
+ * @column {REAL} ratio - Percentage of the sample matching typical phrases
+ * @column {INTEGER} sample_size - Number of listings sampled
+ * @column {INTEGER} match_count - Number of sampled listings that matched
+ * @column {INTEGER} total_listings - Seller's listings reachable by the sampling probes
+ * @column {TEXT} sample_method - How the sample was drawn (probe, or probe+paging)
+ * @column {REAL} coverage - Share of the reachable listings that were sampled (0-1)
+ * @column {TEXT} category_distribution - JSON array of { categoryId, categoryName, matchCount }
+ *                                        from the category refinements
+ * @column {TEXT} typical_phrases - JSON array of the normalized phrases used
+ * @column {INTEGER} matcher_version - TITLE_MATCHER_VERSION the ratio was computed with
+ * @column {TEXT} analyzed_at - When the analysis ran (ISO datetime)
+ *
+ * 6. api_usage
+ * Ledger of outbound eBay API calls per day and endpoint
+ * @table api_usage
+ * @column {TEXT} day - Usage day (YYYY-MM-DD, Pacific time)
+ * @column {TEXT} endpoint - Endpoint name (e.g. item_summary/search, oauth2/token)
+ * @column {INTEGER} calls - Number of calls made
+ * @constraint PRIMARY KEY (day, endpoint)
+ *
+ * 7. seller_overrides
+ * Sellers always excluded (blocklist) or always included (allowlist), whatever their analysis says
+ * @table seller_overrides
+ * @column {INTEGER} id - Primary key (auto-increment)
+ * @column {TEXT} seller_id - eBay seller username (lowercase)
+ * @column {TEXT} action - exclude or include
+ * @column {INTEGER} search_id - References saved_searches(id); null applies to every search
+ * @column {TEXT} reason - Why the override exists (shown in the decision log)
+ * @column {TEXT} created_at - When the override was added (ISO datetime)
+ * @column {TEXT} updated_at - When the override last changed (ISO datetime)
+ * @index idx_seller_overrides_scope - Unique on seller_id and search_id (one override per scope)
+ *
+ * 8. item_price_history
+ * Price observed each time a known item turns up in search results
+ * @table item_price_history
+ * @column {INTEGER} id - Primary key (auto-increment)
+ * @column {TEXT} item_id - eBay item identifier (as in all_search_results)
+ * @column {REAL} price - Observed price
+ * @column {TEXT} currency - Currency of the price
+ * @column {TEXT} observed_at - When the price was seen (ISO datetime)
+ * @index idx_price_history_item - Index on item_id and observed_at
+ *
  * Relationships:
  * - One saved search can find many items (through mappings)
  * - One item can be found by many searches (through mappings)
@@ -61,11 +184,13 @@ const __dirname = dirname(__filename);
 class DatabaseListingsManager {
     /**
      * Constructor initializes the SQLite database connection
-     * Database file is stored in the project root directory
+     * Database file is stored in the project root directory, unless the
+     * SCANNER_DB_PATH environment variable points elsewhere (e.g. for test runs).
+     * The connection opens on import, so the variable must be set before then.
      */
     constructor() {
         // Database file path - stored in project root
-        const dbPath = join(__dirname, '..', '..', 'scanner.db');
+        const dbPath = process.env.SCANNER_DB_PATH || join(__dirname, '..', '..', 'scanner.db');
 
         console.log('Connecting to SQLite database at:', dbPath);
 
@@ -94,10 +219,19 @@ class DatabaseListingsManager {
                     typical_phrases TEXT NOT NULL,
                     feedback_threshold INTEGER NOT NULL,
                     conditions TEXT NOT NULL,
-                    created_at TEXT DEFAULT (datetime('now'))
+                    created_at TEXT DEFAULT (datetime('now')),
+                    is_adhoc INTEGER DEFAULT 0
                 )
             `);
 
+            // Columns added after the original schema (older databases need them too)
+            this.addColumnIfMissing('saved_searches', 'is_adhoc', 'INTEGER DEFAULT 0');
+            this.addColumnIfMissing('saved_searches', 'next_run_at', 'TEXT');
+            this.addColumnIfMissing('saved_searches', 'last_run_at', 'TEXT');
+            for (const { column, definition } of Object.values(SEARCH_SETTING_COLUMNS)) {
+                this.addColumnIfMissing('saved_searches', column, definition);
+            }
+
             // 2. Then create all_search_results table
             this.db.exec(`
                 CREATE TABLE IF NOT EXISTS all_search_results (
@@ -105,6 +239,7 @@ class DatabaseListingsManager {
                     item_id TEXT UNIQUE NOT NULL,
                     title TEXT NOT NULL,
                     price REAL,
+                    currency TEXT,
                     url TEXT,
                     seller_id TEXT,
                     first_found_at TEXT DEFAULT (datetime('now')),
@@ -112,6 +247,14 @@ class DatabaseListingsManager {
                     is_active INTEGER DEFAULT 1
                 )
             `);
+            this.addColumnIfMissing('all_search_results', 'currency', 'TEXT');
+            this.addColumnIfMissing('all_search_results', 'seller_score', 'REAL');
+            this.addColumnIfMissing('all_search_results', 'previous_price', 'REAL');
+            this.addColumnIfMissing('all_search_results', 'marketplace', 'TEXT');
+            this.addColumnIfMissing('all_search_results', 'listing_status', "TEXT NOT NULL DEFAULT 'live'");
+            this.addColumnIfMissing('all_search_results', 'ended_at', 'TEXT');
+            this.addColumnIfMissing('all_search_results', 'final_price', 'REAL');
+            this.addColumnIfMissing('all_search_results', 'status_checked_at', 'TEXT');
 
             // 3. Finally create search_result_mappings table
             this.db.exec(`
@@ -123,10 +266,89 @@ class DatabaseListingsManager {
                 )
             `);
 
+            // 4. Scan run history
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS scan_runs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    search_id INTEGER REFERENCES saved_searches(id),
+                    parameters TEXT NOT NULL,
+                    trigger TEXT DEFAULT 'manual',
+                    status TEXT NOT NULL DEFAULT 'running',
+                    error TEXT,
+                    started_at TEXT DEFAULT (datetime('now')),
+                    finished_at TEXT,
+                    total_listings INTEGER DEFAULT 0,
+                    phrase_stats TEXT NOT NULL DEFAULT '[]'
+                )
+            `);
+            this.addColumnIfMissing('scan_runs', 'trigger', "TEXT DEFAULT 'manual'");
+
+            // 5. Cached seller analyses
+            // Profiles from before the marketplace key can't say where they were sampled;
+            // they are only a cache, so start it over
+            if (this.hasColumn('seller_profiles', 'seller_id') && !this.hasColumn('seller_profiles', 'marketplace')) {
+                this.db.exec('DROP TABLE seller_profiles');
+            }
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS seller_profiles (
+                    seller_id TEXT NOT NULL,
+                    marketplace TEXT NOT NULL,
+                    ratio REAL NOT NULL,
+                    sample_size INTEGER NOT NULL,
+                    match_count INTEGER NOT NULL,
+                    total_listings INTEGER NOT NULL,
+                    typical_phrases TEXT NOT NULL,
+                    analyzed_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (seller_id, marketplace)
+                )
+            `);
+            this.addColumnIfMissing('seller_profiles', 'sample_method', 'TEXT');
+            this.addColumnIfMissing('seller_profiles', 'coverage', 'REAL');
+            this.addColumnIfMissing('seller_profiles', 'category_distribution', 'TEXT');
+            this.addColumnIfMissing('seller_profiles', 'matcher_version', 'INTEGER');
+
+            // 6. API call ledger
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS api_usage (
+                    day TEXT NOT NULL,
+                    endpoint TEXT NOT NULL,
+                    calls INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (day, endpoint)
+                )
+            `);
+
+            // 7. Seller blocklist and allowlist
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS seller_overrides (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    seller_id TEXT NOT NULL,
+                    action TEXT NOT NULL CHECK (action IN ('exclude', 'include')),
+                    search_id INTEGER REFERENCES saved_searches(id) ON DELETE CASCADE,
+                    reason TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    updated_at TEXT DEFAULT (datetime('now'))
+                )
+            `);
+
+            // 8. Price observations of known items
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS item_price_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    item_id TEXT NOT NULL,
+                    price REAL,
+                    currency TEXT,
+                    observed_at TEXT DEFAULT (datetime('now'))
+                )
+            `);
+
             // Create indexes for better performance
             this.db.exec(`
                 CREATE INDEX IF NOT EXISTS idx_results_item_id ON all_search_results(item_id);
                 CREATE INDEX IF NOT EXISTS idx_results_last_seen ON all_search_results(last_seen_at);
+                CREATE INDEX IF NOT EXISTS idx_scan_runs_started ON scan_runs(started_at);
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_seller_overrides_scope
+                    ON seller_overrides(seller_id, IFNULL(search_id, 0));
+                CREATE INDEX IF NOT EXISTS idx_price_history_item ON item_price_history(item_id, observed_at);
             `);
 
             console.log('Database initialized successfully');
@@ -136,6 +358,31 @@ class DatabaseListingsManager {
         }
     }
 
+    /**
+     * Adds a column to an existing table if it isn't there yet
+     * CREATE TABLE IF NOT EXISTS leaves existing databases untouched,
+     * so columns added later are migrated here
+     * @param {string} table - Table name
+     * @param {string} column - Column name
+     * @param {string} definition - Column type and constraints
+     */
+    addColumnIfMissing(table, column, definition) {
+        if (!this.hasColumn(table, column)) {
+            this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    /**
+     * Checks whether a table has a column
+     * @param {string} table - Table name
+     * @param {string} column - Column name
+     * @returns {boolean} False if the column or the whole table is missing
+     */
+    hasColumn(table, column) {
+        const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+        return columns.some(col => col.name === column);
+    }
+
     /**
      * Retrieves existing search results for a specific saved search
      * @param {number} searchId - The ID of the saved search
@@ -161,25 +408,42 @@ class DatabaseListingsManager {
     /**
      * Saves a new search result and creates mapping to saved search
      * Uses transaction to ensure data consistency
+     * A new item, or a known one at a new price, gets a price history entry
      * @param {number} searchId - The ID of the saved search
      * @param {Object} item - The eBay item to save
      * @param {string} item.itemId - eBay's unique item identifier
      * @param {string} item.title - Item title
      * @param {number} item.price - Item price
+     * @param {string} [item.currency] - Currency of the price
+     * @param {string} [item.marketplace] - eBay marketplace the item was found on
      * @param {string} item.url - Item listing URL
      * @param {string} item.sellerId - eBay seller's ID
+     * @param {number} [item.sellerScore] - Seller's composite score from this scan
+     * @param {number} [item.previousPrice] - Price before the drop that resurfaced the item
      * @throws {Error} If database operations fail
      */
     saveSearchResult(searchId, item) {
         const saveTransaction = this.db.transaction(() => {
+            const known = this.db.prepare(
+                'SELECT price FROM all_search_results WHERE item_id = ?'
+            ).get(item.itemId);
+
             // Insert or update the item
             const itemQuery = `
                 INSERT INTO all_search_results
-                    (item_id, title, price, url, seller_id)
-                VALUES (?, ?, ?, ?, ?)
+                    (item_id, title, price, currency, marketplace, url, seller_id, seller_score, previous_price)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
                 ON CONFLICT (item_id) DO UPDATE
                 SET last_seen_at = datetime('now'),
-                    is_active = 1
+                    is_active = 1,
+                    price = COALESCE(excluded.price, price),
+                    currency = COALESCE(excluded.currency, currency),
+                    marketplace = COALESCE(excluded.marketplace, marketplace),
+                    seller_score = COALESCE(excluded.seller_score, seller_score),
+                    previous_price = excluded.previous_price,
+                    listing_status = 'live',
+                    ended_at = NULL,
+                    final_price = NULL
             `;
 
             const itemStmt = this.db.prepare(itemQuery);
@@ -187,10 +451,18 @@ class DatabaseListingsManager {
                 item.itemId,
                 item.title,
                 item.price,
+                item.currency || null,
+                item.marketplace || null,
                 item.url,
-                item.sellerId
+                item.sellerId,
+                item.sellerScore ?? null,
+                item.previousPrice ?? null
             );
 
+            if (!known || (item.price !== null && item.price !== undefined && known.price !== item.price)) {
+                this.recordPriceObservation(item.itemId, item.price, item.currency);
+            }
+
             // Get the item ID (either just inserted or existing)
             const getItemId = this.db.prepare(
                 'SELECT id FROM all_search_results WHERE item_id = ?'
@@ -211,6 +483,86 @@ class DatabaseListingsManager {
         saveTransaction();
     }
 
+    /**
+     * Adds a price observation to an item's history
+     * @param {string} itemId - eBay item identifier
+     * @param {number|null} price - Observed price
+     * @param {string} [currency] - Currency of the price
+     */
+    recordPriceObservation(itemId, price, currency) {
+        this.db.prepare(`
+            INSERT INTO item_price_history (item_id, price, currency)
+            VALUES (?, ?, ?)
+        `).run(itemId, price ?? null, currency || null);
+    }
+
+    /**
+     * Records a search sighting of items already in all_search_results
+     * Each known item gets a price history entry, its stored price is brought
+     * up to date and it counts as live again; items never saved are ignored
+     * @param {Object[]} sightings - [{ itemId, price, currency }]
+     * @returns {Map<string, {price: number|null, currency: string|null}>} Price each known
+     *          item had when it was last seen, before this sighting
+     */
+    recordPriceSightings(sightings) {
+        const previousPrices = new Map();
+        const getKnown = this.db.prepare('SELECT price, currency FROM all_search_results WHERE item_id = ?');
+        const updatePrice = this.db.prepare(`
+            UPDATE all_search_results
+            SET price = ?, currency = COALESCE(?, currency),
+                listing_status = 'live', ended_at = NULL, final_price = NULL
+            WHERE item_id = ?
+        `);
+
+        const recordAll = this.db.transaction(() => {
+            for (const { itemId, price, currency } of sightings) {
+                const known = getKnown.get(itemId);
+                if (!known || previousPrices.has(itemId)) continue;
+
+                previousPrices.set(itemId, known);
+                if (price === null || price === undefined) continue;
+
+                this.recordPriceObservation(itemId, price, currency);
+                updatePrice.run(price, currency || null, itemId);
+            }
+        });
+
+        recordAll();
+        return previousPrices;
+    }
+
+    /**
+     * Retrieves an item's price observations
+     * @param {string} itemId - eBay item identifier
+     * @returns {Array} Observations ({ price, currency, observed_at }), oldest first
+     */
+    getPriceHistory(itemId) {
+        return this.db.prepare(`
+            SELECT price, currency, observed_at
+            FROM item_price_history
+            WHERE item_id = ?
+            ORDER BY observed_at, id
+        `).all(itemId);
+    }
+
+    /**
+     * Saves all qualified items from a scan and maps them to a search
+     * Runs in a single transaction so a scan's results are stored together
+     * @param {number} searchId - The ID of the saved (or ad-hoc) search
+     * @param {Object[]} items - Items in the shape expected by saveSearchResult
+     * @returns {number} Number of items saved
+     */
+    saveSearchResults(searchId, items) {
+        const saveAll = this.db.transaction(() => {
+            for (const item of items) {
+                this.saveSearchResult(searchId, item);
+            }
+        });
+
+        saveAll();
+        return items.length;
+    }
+
     /**
      * Saves a new search configuration to the database
      * @param {string} name - User-given name for the search
@@ -218,21 +570,162 @@ class DatabaseListingsManager {
      * @param {string[]} typicalPhrases - Array of category-specific phrases
      * @param {number} feedbackThreshold - Minimum seller rating
      * @param {string[]} conditions - Array of acceptable item conditions
+     * @param {Object} [settings] - Optional settings keyed as in SEARCH_SETTING_COLUMNS
      * @returns {number} The ID of the newly created search
      */
-    saveSearch(name, searchPhrases, typicalPhrases, feedbackThreshold, conditions) {
+    saveSearch(name, searchPhrases, typicalPhrases, feedbackThreshold, conditions, settings = {}) {
+        const { columns, values } = this.toSettingColumns(settings);
+
+        const stmt = this.db.prepare(`
+            INSERT INTO saved_searches
+            (name, search_phrases, typical_phrases, feedback_threshold, conditions${columns.map(c => `, ${c}`).join('')})
+            VALUES (?, ?, ?, ?, ?${columns.map(() => ', ?').join('')})
+        `);
+
+        const result = stmt.run(
+            name,
+            JSON.stringify(searchPhrases),
+            JSON.stringify(typicalPhrases),
+            feedbackThreshold,
+            JSON.stringify(conditions),
+            ...values
+        );
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Updates optional settings of a saved search
+     * Settings not included in the object are left unchanged
+     * @param {number} id - The ID of the saved search
+     * @param {Object} settings - Settings keyed as in SEARCH_SETTING_COLUMNS
+     * @returns {boolean} True if the search exists and was updated
+     */
+    updateSearchSettings(id, settings) {
+        const { columns, values } = this.toSettingColumns(settings);
+        if (columns.length === 0) {
+            return !!this.getSavedSearchById(id);
+        }
+
+        const stmt = this.db.prepare(`
+            UPDATE saved_searches
+            SET ${columns.map(c => `${c} = ?`).join(', ')}
+            WHERE id = ?
+        `);
+
+        return stmt.run(...values, id).changes > 0;
+    }
+
+    /**
+     * Converts a settings object into saved_searches columns and values
+     * Unknown keys and undefined values are ignored
+     * @param {Object} settings - Settings keyed as in SEARCH_SETTING_COLUMNS
+     * @returns {{columns: string[], values: Array}} Matching columns and values
+     */
+    toSettingColumns(settings) {
+        const columns = [];
+        const values = [];
+
+        for (const [key, { column, json }] of Object.entries(SEARCH_SETTING_COLUMNS)) {
+            if (settings[key] === undefined) continue;
+
+            let value = settings[key];
+            if (json && value !== null) {
+                value = JSON.stringify(value);
+            } else if (typeof value === 'boolean') {
+                value = value ? 1 : 0;
+            }
+
+            columns.push(column);
+            values.push(value);
+        }
+
+        return { columns, values };
+    }
+
+    /**
+     * Parses the JSON columns of a saved_searches row back into arrays/objects
+     * @param {Object} search - Raw saved_searches row
+     * @returns {Object} The saved search with JSON fields parsed
+     */
+    parseSavedSearch(search) {
+        const parsed = {
+            ...search,
+            search_phrases: JSON.parse(search.search_phrases),
+            typical_phrases: JSON.parse(search.typical_phrases),
+            conditions: JSON.parse(search.conditions)
+        };
+
+        for (const { column, json } of Object.values(SEARCH_SETTING_COLUMNS)) {
+            if (json && typeof parsed[column] === 'string') {
+                parsed[column] = JSON.parse(parsed[column]);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Retrieves saved searches that have an enabled schedule
+     * @returns {Array} Array of scheduled saved searches
+     */
+    getScheduledSearches() {
+        const stmt = this.db.prepare(`
+            SELECT * FROM saved_searches
+            WHERE schedule_enabled = 1
+            AND schedule IS NOT NULL
+            AND is_adhoc = 0
+            ORDER BY next_run_at
+        `);
+
+        return stmt.all().map(search => this.parseSavedSearch(search));
+    }
+
+    /**
+     * Records scheduler bookkeeping for a saved search
+     * @param {number} id - The ID of the saved search
+     * @param {string|null} nextRunAt - When the search is next due (ISO datetime)
+     * @param {string} [lastRunAt] - When the scheduler last started it (ISO datetime);
+     *                               left unchanged when omitted
+     */
+    setSearchRunTimes(id, nextRunAt, lastRunAt) {
+        if (lastRunAt === undefined) {
+            this.db.prepare('UPDATE saved_searches SET next_run_at = ? WHERE id = ?')
+                .run(nextRunAt, id);
+        } else {
+            this.db.prepare('UPDATE saved_searches SET next_run_at = ?, last_run_at = ? WHERE id = ?')
+                .run(nextRunAt, lastRunAt, id);
+        }
+    }
+
+    /**
+     * Creates a search record for a scan that wasn't started from a saved search
+     * Ad-hoc records give the scan's results something to be mapped to,
+     * but are hidden from the saved searches list
+     * @param {string[]} searchPhrases - Array of search terms
+     * @param {string[]} typicalPhrases - Array of category-specific phrases
+     * @param {number} feedbackThreshold - Minimum seller rating
+     * @param {string[]} conditions - Array of acceptable item conditions
+     * @param {Object} [settings] - Optional settings keyed as in SEARCH_SETTING_COLUMNS
+     * @returns {number} The ID of the ad-hoc search record
+     */
+    createAdhocSearch(searchPhrases, typicalPhrases, feedbackThreshold, conditions, settings = {}) {
+        const { columns, values } = this.toSettingColumns(settings);
+
         const stmt = this.db.prepare(`
             INSERT INTO saved_searches
-            (name, search_phrases, typical_phrases, feedback_threshold, conditions)
-            VALUES (?, ?, ?, ?, ?)
+            (name, search_phrases, typical_phrases, feedback_threshold, conditions, is_adhoc${columns.map(c => `, ${c}`).join('')})
+            VALUES (?, ?, ?, ?, ?, 1${columns.map(() => ', ?').join('')})
         `);
 
+        const name = `Ad-hoc scan ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`;
         const result = stmt.run(
             name,
             JSON.stringify(searchPhrases),
             JSON.stringify(typicalPhrases),
             feedbackThreshold,
-            JSON.stringify(conditions)
+            JSON.stringify(conditions),
+            ...values
         );
 
         return result.lastInsertRowid;
@@ -241,22 +734,18 @@ class DatabaseListingsManager {
     /**
      * Retrieves all saved searches from the database
      * Parses JSON arrays back into JavaScript arrays
+     * Ad-hoc scan records are not included
      * @returns {Array} Array of all saved searches, ordered by creation date
      */
     getSavedSearches() {
         const stmt = this.db.prepare(
-            'SELECT * FROM saved_searches ORDER BY created_at DESC'
+            'SELECT * FROM saved_searches WHERE is_adhoc = 0 ORDER BY created_at DESC'
         );
 
         const searches = stmt.all();
 
         // Parse JSON strings back to arrays
-        return searches.map(search => ({
-            ...search,
-            search_phrases: JSON.parse(search.search_phrases),
-            typical_phrases: JSON.parse(search.typical_phrases),
-            conditions: JSON.parse(search.conditions)
-        }));
+        return searches.map(search => this.parseSavedSearch(search));
     }
 
     /**
@@ -271,27 +760,26 @@ class DatabaseListingsManager {
         if (!search) return undefined;
 
         // Parse JSON strings back to arrays
-        return {
-            ...search,
-            search_phrases: JSON.parse(search.search_phrases),
-            typical_phrases: JSON.parse(search.typical_phrases),
-            conditions: JSON.parse(search.conditions)
-        };
+        return this.parseSavedSearch(search);
     }
 
     /**
      * Retrieves all results associated with a specific saved search
      * @param {number} searchId - The ID of the saved search
-     * @returns {Array} Array of search results, ordered by when they were first found
+     * @param {Object} [options]
+     * @param {boolean} [options.includeEnded] - Also return ended and sold listings (default: live only)
+     * @returns {Array} Array of search results, best seller score first (unscored last),
+     *                  then newest first
      */
-    getSearchResults(searchId) {
+    getSearchResults(searchId, { includeEnded = false } = {}) {
         const query = `
             SELECT r.*
             FROM all_search_results r
             JOIN search_result_mappings m ON r.id = m.result_id
             WHERE m.search_id = ?
             AND r.is_active = 1
-            ORDER BY r.first_found_at DESC
+            ${includeEnded ? '' : "AND r.listing_status = 'live'"}
+            ORDER BY r.seller_score IS NULL, r.seller_score DESC, r.first_found_at DESC
         `;
 
         const stmt = this.db.prepare(query);
@@ -320,6 +808,51 @@ class DatabaseListingsManager {
         return result.changes;
     }
 
+    /**
+     * Gets live items that neither a search nor the recheck job has seen for a while
+     * @param {number} hours - How long ago the item was last seen or checked
+     * @param {number} limit - Most items to return
+     * @returns {Array} Items ({ item_id, title, marketplace }), least recently checked first
+     */
+    getListingsDueForRecheck(hours, limit) {
+        return this.db.prepare(`
+            SELECT item_id, title, marketplace
+            FROM all_search_results
+            WHERE is_active = 1
+            AND listing_status = 'live'
+            AND last_seen_at <= datetime('now', '-' || ? || ' hours')
+            AND (status_checked_at IS NULL OR status_checked_at <= datetime('now', '-' || ? || ' hours'))
+            ORDER BY status_checked_at IS NOT NULL, status_checked_at, last_seen_at
+            LIMIT ?
+        `).all(hours, hours, limit);
+    }
+
+    /**
+     * Records the outcome of a recheck
+     * @param {string} itemId - eBay item identifier
+     * @param {Object|null} check - The listing's status, or null when the lookup failed
+     *                              (only the check time is recorded)
+     * @param {string} check.status - live, ended or sold
+     * @param {string|null} [check.endedAt] - When the listing ended (ISO datetime)
+     * @param {number|null} [check.finalPrice] - Last price eBay reported
+     * @returns {boolean} True if the item exists
+     */
+    recordListingCheck(itemId, check) {
+        const result = check
+            ? this.db.prepare(`
+                UPDATE all_search_results
+                SET listing_status = ?, ended_at = ?, final_price = ?, status_checked_at = datetime('now')
+                WHERE item_id = ?
+            `).run(check.status, check.endedAt ?? null, check.finalPrice ?? null, itemId)
+            : this.db.prepare(`
+                UPDATE all_search_results
+                SET status_checked_at = datetime('now')
+                WHERE item_id = ?
+            `).run(itemId);
+
+        return result.changes > 0;
+    }
+
     /**
      * Gets all items seen recently (for deduplication during scans)
      * @param {number} days - Number of days to look back (default: 7)
@@ -336,6 +869,349 @@ class DatabaseListingsManager {
         return new Set(items.map(item => item.item_id));
     }
 
+    /**
+     * Records the start of a scan
+     * @param {Object} parameters - The scan parameters (stored as JSON)
+     * @param {number|null} searchId - The saved search being scanned, if any
+     * @param {string} trigger - What started the scan (manual or scheduled)
+     * @returns {number} The ID of the new scan run
+     */
+    createScanRun(parameters, searchId = null, trigger = 'manual') {
+        const stmt = this.db.prepare(`
+            INSERT INTO scan_runs (search_id, parameters, trigger)
+            VALUES (?, ?, ?)
+        `);
+
+        const result = stmt.run(searchId, JSON.stringify(parameters), trigger);
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Links a scan run to the search its results are saved under
+     * @param {number} scanId - The ID of the scan run
+     * @param {number} searchId - The saved or ad-hoc search ID
+     */
+    setScanRunSearch(scanId, searchId) {
+        this.db.prepare('UPDATE scan_runs SET search_id = ? WHERE id = ?')
+            .run(searchId, scanId);
+    }
+
+    /**
+     * Appends the counts for one processed phrase to a scan run
+     * @param {number} scanId - The ID of the scan run
+     * @param {Object} stats - Per-phrase counts from fetchListingsForPhrase
+     */
+    addScanRunPhraseStats(scanId, stats) {
+        const appendTransaction = this.db.transaction(() => {
+            const run = this.db.prepare('SELECT phrase_stats FROM scan_runs WHERE id = ?').get(scanId);
+            if (!run) return;
+
+            const phraseStats = JSON.parse(run.phrase_stats);
+            phraseStats.push(stats);
+
+            this.db.prepare('UPDATE scan_runs SET phrase_stats = ? WHERE id = ?')
+                .run(JSON.stringify(phraseStats), scanId);
+        });
+
+        appendTransaction();
+    }
+
+    /**
+     * Records the end of a scan
+     * @param {number} scanId - The ID of the scan run
+     * @param {string} status - Final status (completed, cancelled, stopped or error)
+     * @param {string|null} error - Error message, if the scan failed
+     * @param {number} totalListings - Number of qualified listings found
+     */
+    finishScanRun(scanId, status, error, totalListings) {
+        const stmt = this.db.prepare(`
+            UPDATE scan_runs
+            SET status = ?,
+                error = ?,
+                total_listings = ?,
+                finished_at = datetime('now')
+            WHERE id = ?
+        `);
+
+        stmt.run(status, error, totalListings, scanId);
+    }
+
+    /**
+     * Retrieves recent scan runs, newest first
+     * @param {number} limit - Maximum number of runs to return (default: 50)
+     * @returns {Array} Array of scan runs with parsed JSON fields
+     */
+    getScanRuns(limit = 50) {
+        const stmt = this.db.prepare(`
+            SELECT r.*, s.name AS search_name
+            FROM scan_runs r
+            LEFT JOIN saved_searches s ON s.id = r.search_id
+            ORDER BY r.id DESC
+            LIMIT ?
+        `);
+
+        return stmt.all(limit).map(run => this.parseScanRun(run));
+    }
+
+    /**
+     * Retrieves a single scan run by its ID
+     * @param {number} id - The ID of the scan run
+     * @returns {Object|undefined} The scan run or undefined if not found
+     */
+    getScanRunById(id) {
+        const stmt = this.db.prepare(`
+            SELECT r.*, s.name AS search_name
+            FROM scan_runs r
+            LEFT JOIN saved_searches s ON s.id = r.search_id
+            WHERE r.id = ?
+        `);
+
+        const run = stmt.get(id);
+        return run ? this.parseScanRun(run) : undefined;
+    }
+
+    /**
+     * Parses the JSON columns of a scan run row
+     * @param {Object} run - Raw scan_runs row
+     * @returns {Object} Scan run with parameters and phrase_stats parsed
+     */
+    parseScanRun(run) {
+        return {
+            ...run,
+            parameters: JSON.parse(run.parameters),
+            phrase_stats: JSON.parse(run.phrase_stats)
+        };
+    }
+
+    /**
+     * Normalizes typical phrases so the same set compares equal regardless of order or case
+     * @param {string[]} typicalPhrases - Typical phrases
+     * @returns {string} JSON array of trimmed, lowercased, de-duplicated, sorted phrases
+     */
+    normalizePhraseSet(typicalPhrases) {
+        const normalized = new Set(
+            typicalPhrases
+                .map(phrase => phrase.trim().toLowerCase())
+                .filter(phrase => phrase !== '')
+        );
+        return JSON.stringify([...normalized].sort());
+    }
+
+    /**
+     * Gets a seller's cached analysis if it is recent and used the same marketplace and typical phrases
+     * @param {string} sellerId - eBay seller username
+     * @param {string} marketplace - eBay marketplace the current scan searches
+     * @param {string[]} typicalPhrases - Phrases the current scan uses
+     * @param {number} maxAgeDays - Oldest analysis to accept, in days
+     * @returns {Object|undefined} The seller_profiles row (category_distribution parsed),
+     *                              or undefined if there is no usable one
+     */
+    getSellerProfile(sellerId, marketplace, typicalPhrases, maxAgeDays) {
+        const stmt = this.db.prepare(`
+            SELECT *
+            FROM seller_profiles
+            WHERE seller_id = ?
+            AND marketplace = ?
+            AND typical_phrases = ?
+            AND analyzed_at > datetime('now', '-' || ? || ' days')
+        `);
+
+        const profile = stmt.get(sellerId, marketplace, this.normalizePhraseSet(typicalPhrases), maxAgeDays);
+        if (profile?.category_distribution) {
+            profile.category_distribution = JSON.parse(profile.category_distribution);
+        }
+        return profile;
+    }
+
+    /**
+     * Stores (or replaces) a seller's latest analysis on a marketplace
+     * @param {string} sellerId - eBay seller username
+     * @param {string} marketplace - eBay marketplace the inventory was sampled on
+     * @param {Object} profile - { ratio, sampleSize, matchCount, totalListings, sampleMethod,
+     *                            coverage, categoryDistributions, typicalPhrases, matcherVersion }
+     */
+    saveSellerProfile(sellerId, marketplace, profile) {
+        const stmt = this.db.prepare(`
+            INSERT INTO seller_profiles
+                (seller_id, marketplace, ratio, sample_size, match_count, total_listings, sample_method, coverage,
+                 category_distribution, typical_phrases, matcher_version)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (seller_id, marketplace) DO UPDATE
+            SET ratio = excluded.ratio,
+                sample_size = excluded.sample_size,
+                match_count = excluded.match_count,
+                total_listings = excluded.total_listings,
+                sample_method = excluded.sample_method,
+                coverage = excluded.coverage,
+                category_distribution = excluded.category_distribution,
+                typical_phrases = excluded.typical_phrases,
+                matcher_version = excluded.matcher_version,
+                analyzed_at = datetime('now')
+        `);
+
+        stmt.run(
+            sellerId,
+            marketplace,
+            profile.ratio,
+            profile.sampleSize,
+            profile.matchCount,
+            profile.totalListings,
+            profile.sampleMethod ?? null,
+            profile.coverage ?? null,
+            profile.categoryDistributions ? JSON.stringify(profile.categoryDistributions) : null,
+            this.normalizePhraseSet(profile.typicalPhrases),
+            profile.matcherVersion ?? null
+        );
+    }
+
+    /**
+     * Lists seller overrides
+     * @param {number} [searchId] - Only overrides that apply to this search (its own and global ones)
+     * @returns {Array} Overrides, newest first
+     */
+    getSellerOverrides(searchId = null) {
+        if (searchId === null) {
+            return this.db.prepare('SELECT * FROM seller_overrides ORDER BY id DESC').all();
+        }
+        return this.db.prepare(`
+            SELECT *
+            FROM seller_overrides
+            WHERE search_id IS NULL OR search_id = ?
+            ORDER BY id DESC
+        `).all(searchId);
+    }
+
+    /**
+     * Retrieves one seller override
+     * @param {number} id - Override ID
+     * @returns {Object|undefined} The override, if it exists
+     */
+    getSellerOverrideById(id) {
+        return this.db.prepare('SELECT * FROM seller_overrides WHERE id = ?').get(id);
+    }
+
+    /**
+     * Adds a seller override
+     * @param {Object} override
+     * @param {string} override.sellerId - eBay seller username
+     * @param {string} override.action - exclude or include
+     * @param {number} [override.searchId] - Saved search it is limited to (default: all searches)
+     * @param {string} [override.reason] - Why the seller is overridden
+     * @returns {number} The ID of the new override
+     * @throws {Error} SQLITE_CONSTRAINT_UNIQUE if the seller already has an override in that scope
+     */
+    saveSellerOverride({ sellerId, action, searchId = null, reason = null }) {
+        const result = this.db.prepare(`
+            INSERT INTO seller_overrides (seller_id, action, search_id, reason)
+            VALUES (?, ?, ?, ?)
+        `).run(sellerId.trim().toLowerCase(), action, searchId, reason);
+
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Changes the action or reason of a seller override
+     * Fields not included in the object are left unchanged
+     * @param {number} id - Override ID
+     * @param {Object} changes - { action?, reason? }
+     * @returns {boolean} True if the override exists
+     */
+    updateSellerOverride(id, { action, reason }) {
+        const result = this.db.prepare(`
+            UPDATE seller_overrides
+            SET action = COALESCE(?, action),
+                reason = CASE WHEN ? THEN ? ELSE reason END,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `).run(action ?? null, reason !== undefined ? 1 : 0, reason ?? null, id);
+
+        return result.changes > 0;
+    }
+
+    /**
+     * Removes a seller override
+     * @param {number} id - Override ID
+     * @returns {boolean} True if an override was removed
+     */
+    deleteSellerOverride(id) {
+        return this.db.prepare('DELETE FROM seller_overrides WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Overrides in force for a search, keyed by seller
+     * An override scoped to the search wins over a global one for the same seller
+     * @param {number|null} searchId - Search being scanned (null = global overrides only)
+     * @returns {Map<string, Object>} Lowercase seller username to override
+     */
+    getSellerOverrideMap(searchId = null) {
+        const overrides = this.db.prepare(`
+            SELECT *
+            FROM seller_overrides
+            WHERE search_id IS NULL OR search_id = ?
+            ORDER BY search_id IS NOT NULL
+        `).all(searchId);
+
+        return new Map(overrides.map(override => [override.seller_id, override]));
+    }
+
+    /**
+     * Counts one API call against a day and endpoint
+     * @param {string} day - Usage day (YYYY-MM-DD)
+     * @param {string} endpoint - Endpoint name
+     * @returns {number} Total calls for the day, all endpoints included
+     */
+    recordApiCall(day, endpoint) {
+        this.db.prepare(`
+            INSERT INTO api_usage (day, endpoint, calls)
+            VALUES (?, ?, 1)
+            ON CONFLICT (day, endpoint) DO UPDATE
+            SET calls = calls + 1
+        `).run(day, endpoint);
+
+        return this.getApiCallTotal(day);
+    }
+
+    /**
+     * Gets the total number of API calls made on a day
+     * @param {string} day - Usage day (YYYY-MM-DD)
+     * @returns {number} Total calls across all endpoints
+     */
+    getApiCallTotal(day) {
+        const row = this.db.prepare(
+            'SELECT COALESCE(SUM(calls), 0) AS total FROM api_usage WHERE day = ?'
+        ).get(day);
+
+        return row.total;
+    }
+
+    /**
+     * Gets the per-endpoint call counts for a day
+     * @param {string} day - Usage day (YYYY-MM-DD)
+     * @returns {Object} Map of endpoint name to call count
+     */
+    getApiUsage(day) {
+        const rows = this.db.prepare(
+            'SELECT endpoint, calls FROM api_usage WHERE day = ? ORDER BY endpoint'
+        ).all(day);
+
+        return Object.fromEntries(rows.map(row => [row.endpoint, row.calls]));
+    }
+
+    /**
+     * Gets daily call totals for the most recent days with usage
+     * @param {number} days - Number of days to return (default: 30)
+     * @returns {Array} Array of { day, calls }, newest first
+     */
+    getApiUsageHistory(days = 30) {
+        return this.db.prepare(`
+            SELECT day, SUM(calls) AS calls
+            FROM api_usage
+            GROUP BY day
+            ORDER BY day DESC
+            LIMIT ?
+        `).all(days);
+    }
+
     /**
      * Closes the database connection
      * Should be called when shutting down the application
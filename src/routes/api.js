@@ -2,10 +2,127 @@ import express from 'express';
 import { readFile } from 'fs/promises';
 import dbManager from '../db/DatabaseListingsManager.js';
 import logger from '../utils/logger.js';
-import { scanResults, startScan, scanInProgress } from '../services/scanner.js';
+import { scanResults, launchScan, launchSavedSearchScan, scanInProgress, cancelScan } from '../services/scanner.js';
 import { EBAY_CONDITIONS } from '../constants/conditions.js';
+import { EBAY_MARKETPLACES, getMarketplace } from '../constants/marketplaces.js';
+import { parseSchedule, getNextRunTime } from '../utils/schedule.js';
+import { getUsageSummary } from '../services/apiBudget.js';
+import { searchCategories, parseCategoryIds, isValidCategoryId } from '../services/categories.js';
+import { parseListingFilters, parseExcludedTerms } from '../services/searchFilters.js';
+import { DETECTION_MODES, DEFAULT_SPECIALIST_THRESHOLD, usesCategories } from '../constants/detectionModes.js';
+import { LISTING_MODES } from '../constants/listingModes.js';
+import { OVERRIDE_ACTIONS } from '../constants/sellerOverrides.js';
+import { SORT_ORDERS, MAX_SEARCH_ITEMS } from '../constants/searchPaging.js';
+import { groupBySeller } from '../utils/helpers.js';
+import { parseScoreWeights, rankBySellerScore } from '../services/sellerScore.js';
 const router = express.Router();
 
+/**
+ * Reads and validates the specialist detection settings of a scan or saved search
+ * @param {Object} body - Request body ({ detectionMode?, specialistCategoryIds?,
+ *                        specialistThreshold?, minRatio?, minSampleSize? })
+ * @returns {{detection: Object, error: string|null}} Settings for startScan / saveSearch,
+ *          or the first problem found
+ */
+function parseDetectionSettings(body) {
+    const detectionMode = body.detectionMode || undefined;
+    const specialistCategoryIds = parseCategoryIds(body.specialistCategoryIds);
+    const toNumber = value => value === undefined || value === null || value === '' ? undefined : Number(value);
+    const detection = {
+        detectionMode,
+        specialistCategoryIds: specialistCategoryIds.length > 0 ? specialistCategoryIds : null,
+        specialistThreshold: toNumber(body.specialistThreshold),
+        minRatio: toNumber(body.minRatio) ?? null,
+        minSampleSize: toNumber(body.minSampleSize) ?? null
+    };
+    const threshold = detection.specialistThreshold ?? DEFAULT_SPECIALIST_THRESHOLD;
+
+    if (detectionMode && !DETECTION_MODES[detectionMode]) {
+        return { detection, error: `Unknown detection mode: ${detectionMode}` };
+    }
+    if (usesCategories(detectionMode) && specialistCategoryIds.length === 0) {
+        return { detection, error: `Detection mode ${detectionMode} needs specialist category IDs` };
+    }
+    if (!specialistCategoryIds.every(isValidCategoryId)) {
+        return { detection, error: 'Specialist category IDs must be numeric' };
+    }
+    if (!(threshold >= 0 && threshold <= 100)) {
+        return { detection, error: 'specialistThreshold must be between 0 and 100' };
+    }
+    if (detection.minRatio !== null && !(detection.minRatio >= 0 && detection.minRatio < threshold)) {
+        return { detection, error: 'minRatio must be at least 0 and below the specialist threshold' };
+    }
+    if (detection.minSampleSize !== null
+        && !(Number.isInteger(detection.minSampleSize) && detection.minSampleSize >= 0)) {
+        return { detection, error: 'minSampleSize must be a whole number' };
+    }
+    return { detection, error: null };
+}
+
+/**
+ * Reads and validates how many listings per qualified seller a scan or saved search keeps
+ * @param {Object} body - Request body ({ listingMode?, listingLimit? })
+ * @returns {{listing: Object, error: string|null}} Settings for startScan / saveSearch,
+ *          or the first problem found
+ */
+function parseListingMode(body) {
+    const listing = {
+        listingMode: body.listingMode || undefined,
+        listingLimit: body.listingLimit === undefined || body.listingLimit === null || body.listingLimit === ''
+            ? null
+            : Number(body.listingLimit)
+    };
+
+    if (listing.listingMode && !LISTING_MODES[listing.listingMode]) {
+        return { listing, error: `Unknown listing mode: ${listing.listingMode}` };
+    }
+    if (listing.listingLimit !== null && !(Number.isInteger(listing.listingLimit) && listing.listingLimit > 0)) {
+        return { listing, error: 'listingLimit must be a positive whole number' };
+    }
+    return { listing, error: null };
+}
+
+/**
+ * Reads and validates how many items a scan or saved search fetches per phrase, and in which order
+ * @param {Object} body - Request body ({ maxItems?, sortOrder? })
+ * @returns {{paging: Object, error: string|null}} Settings for startScan / saveSearch,
+ *          or the first problem found
+ */
+function parsePagingSettings(body) {
+    const paging = {
+        maxItems: body.maxItems === undefined || body.maxItems === null || body.maxItems === ''
+            ? null
+            : Number(body.maxItems),
+        sortOrder: body.sortOrder || null
+    };
+
+    if (paging.maxItems !== null
+        && !(Number.isInteger(paging.maxItems) && paging.maxItems > 0 && paging.maxItems <= MAX_SEARCH_ITEMS)) {
+        return { paging, error: `maxItems must be a whole number from 1 to ${MAX_SEARCH_ITEMS}` };
+    }
+    if (paging.sortOrder && !SORT_ORDERS[paging.sortOrder]) {
+        return { paging, error: `Unknown sort order: ${paging.sortOrder}` };
+    }
+    return { paging, error: null };
+}
+
+/**
+ * Reads and validates the price drop that brings a recently seen item back into a scan
+ * @param {Object} body - Request body ({ priceDropPercent? })
+ * @returns {{priceDropPercent: number|null, error: string|null}} The percentage (null = off),
+ *          or the problem found
+ */
+function parsePriceDropPercent(body) {
+    const priceDropPercent = body.priceDropPercent === undefined || body.priceDropPercent === null || body.priceDropPercent === ''
+        ? null
+        : Number(body.priceDropPercent);
+
+    if (priceDropPercent !== null && !(priceDropPercent > 0 && priceDropPercent < 100)) {
+        return { priceDropPercent, error: 'priceDropPercent must be a number between 0 and 100' };
+    }
+    return { priceDropPercent, error: null };
+}
+
 
 router.get('/results', (req, res) => {
     try {
@@ -15,18 +132,30 @@ router.get('/results', (req, res) => {
             hasError: !!scanResults.error
         });
 
-        const transformedListings = scanResults.listings?.map(item => {
+        const scanCurrency = getMarketplace(scanResults.marketplace)?.currency || 'USD';
+        // Listings from the same seller are grouped together, best seller score first
+        const sellerGroups = groupBySeller(rankBySellerScore(scanResults.listings || []), item => item.seller?.username);
+        const transformedListings = sellerGroups.flatMap(group => group.listings).map(item => {
             return {
                 title: item.title || 'N/A',
                 price: item.price?.value
                     ? parseFloat(item.price.value).toFixed(2)
                     : 'N/A',
-                currency: item.price?.currency || 'USD',
+                currency: item.price?.currency || scanCurrency,
                 seller: item.seller?.username || 'N/A',
                 feedbackScore: item.seller?.feedbackScore?.toString() || 'N/A',
+                sellerScore: item.sellerScore ?? null,
+                priceDrop: item.priceDrop || null,
                 link: item.itemWebUrl || '#'
             };
-        }) || [];
+        });
+        const sellers = groupBySeller(transformedListings, item => item.seller).map(group => ({
+            seller: group.seller,
+            feedbackScore: group.listings[0].feedbackScore,
+            sellerScore: group.listings[0].sellerScore,
+            listingCount: group.listings.length,
+            listings: group.listings
+        }));
 
         // Get live logs from logger
         const liveLogMessages = logger.getLogMessages();
@@ -34,8 +163,12 @@ router.get('/results', (req, res) => {
         res.json({
             status: scanResults.status,
             lastUpdated: scanResults.lastUpdated,
+            scanId: scanResults.scanId,
+            searchId: scanResults.searchId,
+            marketplace: scanResults.marketplace,
             totalListings: scanResults.listings?.length || 0,
             listings: transformedListings,
+            sellers,
             error: scanResults.error,
             logMessages: liveLogMessages,  // Use live logs from logger
             progress: scanResults.progress  // Include progress information
@@ -60,13 +193,32 @@ router.post('/scan', async (req, res) => {
         
         if (scanInProgress) {
             return res.status(409).json({ 
-                error: 'A scan is already in progress'
+                error: 'A scan is already in progress',
+                scanId: scanResults.scanId
             });
         }
     
         // Log the incoming request
         await logger.log('Scan request body:', JSON.stringify(req.body));
-        const { searchPhrases, typicalPhrases, feedbackThreshold, conditions } = req.body;
+        const { searchPhrases, typicalPhrases, feedbackThreshold, conditions, searchId, marketplace } = req.body;
+
+        // A saved search is scanned with its stored configuration; the rest of the body is ignored
+        if (searchId) {
+            const savedSearchId = parseInt(searchId);
+            if (!dbManager.getSavedSearchById(savedSearchId)) {
+                return res.status(404).json({ error: 'Saved search not found' });
+            }
+
+            const scanId = launchSavedSearchScan(savedSearchId);
+            await logger.log(`Scan ${scanId} of saved search ${savedSearchId} started in the background`);
+            return res.status(202).json({
+                message: 'Scan started',
+                scanId,
+                statusUrl: `/api/scans/${scanId}`
+            });
+        }
+
+        const categoryIds = parseCategoryIds(req.body.categoryIds);
         // Validate input with detailed logging
         if (!searchPhrases || !typicalPhrases || !feedbackThreshold || !conditions) {
             await logger.log('Missing required parameters');
@@ -81,33 +233,140 @@ router.post('/scan', async (req, res) => {
             });
         }
 
-        // Start scan with try-catch
-        try {
-            await logger.log('Starting scan with validated parameters...');
-            await startScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions);
-            await logger.log('Scan started successfully');
-            res.json({ message: 'Scan started successfully' });
-        } catch (scanError) {
-            await logger.log('Error in startScan:', scanError.message);
-            await logger.log('Full error details:', scanError.stack);
-            res.status(500).json({ 
-                error: 'Failed to start scan',
-                details: scanError.message,
-                stack: scanError.stack
-            });
+        if (marketplace && !getMarketplace(marketplace)) {
+            return res.status(400).json({ error: `Unsupported marketplace: ${marketplace}` });
+        }
+        if (!categoryIds.every(isValidCategoryId)) {
+            return res.status(400).json({ error: 'Category IDs must be numeric' });
+        }
+        const { filters: listingFilters, error: filterError } = parseListingFilters(req.body);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+        const { detection, error: detectionError } = parseDetectionSettings(req.body);
+        if (detectionError) {
+            return res.status(400).json({ error: detectionError });
+        }
+        const { listing, error: listingError } = parseListingMode(req.body);
+        if (listingError) {
+            return res.status(400).json({ error: listingError });
+        }
+        const { weights: scoreWeights, error: weightsError } = parseScoreWeights(req.body.scoreWeights);
+        if (weightsError) {
+            return res.status(400).json({ error: weightsError });
+        }
+        const { terms: excludedTerms, error: termsError } = parseExcludedTerms(req.body.excludedTerms);
+        if (termsError) {
+            return res.status(400).json({ error: termsError });
+        }
+        const { paging, error: pagingError } = parsePagingSettings(req.body);
+        if (pagingError) {
+            return res.status(400).json({ error: pagingError });
         }
+        const { priceDropPercent, error: priceDropError } = parsePriceDropPercent(req.body);
+        if (priceDropError) {
+            return res.status(400).json({ error: priceDropError });
+        }
+
+        // The scan runs in the background; its outcome is recorded on the scan run
+        const scanId = launchScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions, {
+            marketplace,
+            categoryIds,
+            ...listingFilters,
+            ...detection,
+            ...listing,
+            scoreWeights,
+            excludedTerms,
+            ...paging,
+            priceDropPercent
+        });
+        await logger.log(`Scan ${scanId} started in the background`);
+
+        res.status(202).json({
+            message: 'Scan started',
+            scanId,
+            statusUrl: `/api/scans/${scanId}`
+        });
     } catch (error) {
-        await logger.log('Error in /scan route:', error);
-        await logger.log('Full error details:', error.stack);
+        await logger.log(`Error in /scan route: ${error.message}`);
         res.status(500).json({ 
             error: 'Failed to start scan',
-            details: error.message,
-            stack: error.stack
+            details: error.message
         });
     }
 });
 
+// Cancel the running scan (partial results are kept)
+router.post('/scan/cancel', async (req, res) => {
+    try {
+        if (!cancelScan()) {
+            return res.status(409).json({ error: 'No scan in progress' });
+        }
 
+        await logger.log(`Cancellation requested for scan ${scanResults.scanId}`);
+        res.status(202).json({
+            message: 'Scan cancellation requested',
+            scanId: scanResults.scanId
+        });
+    } catch (error) {
+        console.error('Error cancelling scan:', error);
+        res.status(500).json({ error: 'Failed to cancel scan' });
+    }
+});
+
+// Get today's eBay API usage by endpoint, plus daily totals for recent days
+router.get('/usage', (req, res) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        res.json({
+            ...getUsageSummary(),
+            history: dbManager.getApiUsageHistory(days)
+        });
+    } catch (error) {
+        console.error('Error fetching API usage:', error);
+        res.status(500).json({ error: 'Failed to fetch API usage' });
+    }
+});
+
+// Get scan run history
+router.get('/scans', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const runs = dbManager.getScanRuns(limit);
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching scan runs:', error);
+        res.status(500).json({ error: 'Failed to fetch scan runs' });
+    }
+});
+
+// Get a specific scan run
+router.get('/scans/:id', (req, res) => {
+    try {
+        const scanId = parseInt(req.params.id);
+
+        if (isNaN(scanId)) {
+            return res.status(400).json({ error: 'Invalid scan ID' });
+        }
+
+        const run = dbManager.getScanRunById(scanId);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Scan not found' });
+        }
+
+        // Include live progress while this is the scan currently running
+        if (scanInProgress && scanResults.scanId === scanId) {
+            run.progress = scanResults.progress;
+            run.listingsFound = scanResults.listings.length;
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error('Error fetching scan run:', error);
+        res.status(500).json({ error: 'Failed to fetch scan run' });
+    }
+});
 
 // Get all saved searches
 router.get('/saves/searches', (req, res) => {
@@ -120,10 +379,12 @@ router.get('/saves/searches', (req, res) => {
     }
 });
 
-// Get results for a specific saved search
+// Get results for a specific saved search (live listings only unless ?includeEnded=true)
 router.get('/saves/search/:id/results', (req, res) => {
     try {
-        const results = dbManager.getSearchResults(req.params.id);
+        const results = dbManager.getSearchResults(req.params.id, {
+            includeEnded: req.query.includeEnded === 'true'
+        });
         res.json(results);
     } catch (error) {
         console.error('Error fetching search results:', error);
@@ -166,17 +427,80 @@ router.post('/saves/search', (req, res) => {
             searchPhrases,
             typicalPhrases,
             feedbackThreshold,
-            conditions
+            conditions,
+            schedule,
+            marketplace
         } = req.body;
 
+        if (schedule && !parseSchedule(schedule)) {
+            return res.status(400).json({ error: 'Invalid schedule' });
+        }
+        // A cron like "0 0 30 2 *" parses but never comes due
+        if (schedule && !getNextRunTime(schedule)) {
+            return res.status(400).json({ error: 'Schedule never runs' });
+        }
+        if (marketplace && !getMarketplace(marketplace)) {
+            return res.status(400).json({ error: `Unsupported marketplace: ${marketplace}` });
+        }
+        const categoryIds = parseCategoryIds(req.body.categoryIds);
+        if (!categoryIds.every(isValidCategoryId)) {
+            return res.status(400).json({ error: 'Category IDs must be numeric' });
+        }
+        const { filters: listingFilters, error: filterError } = parseListingFilters(req.body);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+        const { detection, error: detectionError } = parseDetectionSettings(req.body);
+        if (detectionError) {
+            return res.status(400).json({ error: detectionError });
+        }
+        const { listing, error: listingError } = parseListingMode(req.body);
+        if (listingError) {
+            return res.status(400).json({ error: listingError });
+        }
+        const { weights: scoreWeights, error: weightsError } = parseScoreWeights(req.body.scoreWeights);
+        if (weightsError) {
+            return res.status(400).json({ error: weightsError });
+        }
+        const { terms: excludedTerms, error: termsError } = parseExcludedTerms(req.body.excludedTerms);
+        if (termsError) {
+            return res.status(400).json({ error: termsError });
+        }
+        const { paging, error: pagingError } = parsePagingSettings(req.body);
+        if (pagingError) {
+            return res.status(400).json({ error: pagingError });
+        }
+        const { priceDropPercent, error: priceDropError } = parsePriceDropPercent(req.body);
+        if (priceDropError) {
+            return res.status(400).json({ error: priceDropError });
+        }
+
         const searchId = dbManager.saveSearch(
             name,
             searchPhrases,
             typicalPhrases,
             feedbackThreshold,
-            conditions
+            conditions,
+            {
+                schedule: schedule || null,
+                scheduleEnabled: !!schedule && req.body.scheduleEnabled !== false,
+                marketplace: marketplace || undefined,
+                categoryIds: categoryIds.length > 0 ? categoryIds : null,
+                ...listingFilters,
+                ...detection,
+                ...listing,
+                scoreWeights,
+                excludedTerms,
+                ...paging,
+                priceDropPercent
+            }
         );
 
+        if (schedule) {
+            const nextRun = getNextRunTime(schedule);
+            dbManager.setSearchRunTimes(searchId, nextRun ? nextRun.toISOString() : null);
+        }
+
         res.status(201).json({
             message: 'Search saved successfully',
             id: searchId
@@ -189,7 +513,168 @@ router.post('/saves/search', (req, res) => {
 
 
 
+// Set or clear the schedule of a saved search
+router.put('/saves/search/:id/schedule', (req, res) => {
+    try {
+        const searchId = parseInt(req.params.id);
+
+        if (isNaN(searchId)) {
+            return res.status(400).json({ error: 'Invalid search ID' });
+        }
+
+        const { schedule, enabled } = req.body;
+
+        if (schedule && !parseSchedule(schedule)) {
+            return res.status(400).json({ error: 'Invalid schedule' });
+        }
+        // A cron like "0 0 30 2 *" parses but never comes due
+        if (schedule && !getNextRunTime(schedule)) {
+            return res.status(400).json({ error: 'Schedule never runs' });
+        }
+
+        const updated = dbManager.updateSearchSettings(searchId, {
+            schedule: schedule || null,
+            scheduleEnabled: !!schedule && enabled !== false
+        });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Search not found' });
+        }
+
+        // Changing the schedule restarts the countdown from now
+        const nextRun = schedule ? getNextRunTime(schedule) : null;
+        dbManager.setSearchRunTimes(searchId, nextRun ? nextRun.toISOString() : null);
+
+        res.json(dbManager.getSavedSearchById(searchId));
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ error: 'Failed to update schedule' });
+    }
+});
+
+// List seller overrides, optionally only those that apply to one search
+router.get('/sellers/overrides', (req, res) => {
+    try {
+        const searchId = req.query.searchId ? parseInt(req.query.searchId) : null;
+
+        if (req.query.searchId && isNaN(searchId)) {
+            return res.status(400).json({ error: 'Invalid search ID' });
+        }
+
+        res.json(dbManager.getSellerOverrides(searchId));
+    } catch (error) {
+        console.error('Error fetching seller overrides:', error);
+        res.status(500).json({ error: 'Failed to fetch seller overrides' });
+    }
+});
+
+// Get a single seller override
+router.get('/sellers/overrides/:id', (req, res) => {
+    try {
+        const overrideId = parseInt(req.params.id);
+
+        if (isNaN(overrideId)) {
+            return res.status(400).json({ error: 'Invalid override ID' });
+        }
+
+        const override = dbManager.getSellerOverrideById(overrideId);
+        if (!override) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+
+        res.json(override);
+    } catch (error) {
+        console.error('Error fetching seller override:', error);
+        res.status(500).json({ error: 'Failed to fetch seller override' });
+    }
+});
+
+// Add a seller to the blocklist (exclude) or allowlist (include), for all searches or one
+router.post('/sellers/overrides', (req, res) => {
+    try {
+        const { sellerUsername, action, searchId, reason } = req.body;
 
+        if (typeof sellerUsername !== 'string' || !sellerUsername.trim()) {
+            return res.status(400).json({ error: 'sellerUsername is required' });
+        }
+        if (!OVERRIDE_ACTIONS[action]) {
+            return res.status(400).json({ error: `action must be one of: ${Object.keys(OVERRIDE_ACTIONS).join(', ')}` });
+        }
+
+        const scopeId = searchId ? parseInt(searchId) : null;
+        if (searchId && isNaN(scopeId)) {
+            return res.status(400).json({ error: 'Invalid search ID' });
+        }
+        if (scopeId && !dbManager.getSavedSearchById(scopeId)) {
+            return res.status(404).json({ error: 'Search not found' });
+        }
+
+        const id = dbManager.saveSellerOverride({
+            sellerId: sellerUsername,
+            action,
+            searchId: scopeId,
+            reason: reason || null
+        });
+
+        res.status(201).json(dbManager.getSellerOverrideById(id));
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'This seller already has an override for that search' });
+        }
+        console.error('Error saving seller override:', error);
+        res.status(500).json({ error: 'Failed to save seller override' });
+    }
+});
+
+// Change an override's action or reason
+router.put('/sellers/overrides/:id', (req, res) => {
+    try {
+        const overrideId = parseInt(req.params.id);
+
+        if (isNaN(overrideId)) {
+            return res.status(400).json({ error: 'Invalid override ID' });
+        }
+
+        const { action, reason } = req.body;
+        if (action !== undefined && !OVERRIDE_ACTIONS[action]) {
+            return res.status(400).json({ error: `action must be one of: ${Object.keys(OVERRIDE_ACTIONS).join(', ')}` });
+        }
+
+        const updated = dbManager.updateSellerOverride(overrideId, {
+            action,
+            reason: reason === undefined ? undefined : reason || null
+        });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+
+        res.json(dbManager.getSellerOverrideById(overrideId));
+    } catch (error) {
+        console.error('Error updating seller override:', error);
+        res.status(500).json({ error: 'Failed to update seller override' });
+    }
+});
+
+// Remove a seller override
+router.delete('/sellers/overrides/:id', (req, res) => {
+    try {
+        const overrideId = parseInt(req.params.id);
+
+        if (isNaN(overrideId)) {
+            return res.status(400).json({ error: 'Invalid override ID' });
+        }
+
+        if (!dbManager.deleteSellerOverride(overrideId)) {
+            return res.status(404).json({ error: 'Override not found' });
+        }
+
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting seller override:', error);
+        res.status(500).json({ error: 'Failed to delete seller override' });
+    }
+});
 
 // Download logs
 router.get('/logs', async (req, res) => {
@@ -213,6 +698,32 @@ router.get('/conditions', (req, res) => {
     res.json(conditionsArray);
 });
 
+router.get('/marketplaces', (req, res) => {
+    res.json(Object.values(EBAY_MARKETPLACES));
+});
+
+// Specialist detection modes and the threshold a search uses when it sets none
+router.get('/detection-modes', (req, res) => {
+    res.json({ modes: DETECTION_MODES, defaultSpecialistThreshold: DEFAULT_SPECIALIST_THRESHOLD });
+});
+
+// Autocomplete category names from the stored category tree (?q=ring&limit=20)
+router.get('/categories', async (req, res) => {
+    try {
+        const { marketplace } = req.query;
+        if (marketplace && !getMarketplace(marketplace)) {
+            return res.status(400).json({ error: `Unsupported marketplace: ${marketplace}` });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const categories = await searchCategories(req.query.q, limit, marketplace || undefined);
+        res.json(categories);
+    } catch (error) {
+        console.error('Error searching categories:', error);
+        res.status(500).json({ error: 'Failed to search categories' });
+    }
+});
+
 
 
 export default router; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+// Daily eBay API call budget
+// Every outbound eBay request is counted per endpoint in the api_usage table,
+// so the count survives restarts. eBay's call limits reset at midnight Pacific
+// time, so usage days are Pacific calendar days.
+import dbManager from '../db/DatabaseListingsManager.js';
+
+export const API_BUDGET_EXHAUSTED = 'API_BUDGET_EXHAUSTED';
+
+// Daily call limit (EBAY_DAILY_CALL_LIMIT, default 5000)
+export function getDailyCallLimit() {
+    const limit = parseInt(process.env.EBAY_DAILY_CALL_LIMIT);
+    return limit > 0 ? limit : 5000;
+}
+
+// Calls held back from scans so the limit is never actually hit (EBAY_CALL_RESERVE, default 100)
+export function getCallReserve() {
+    const reserve = parseInt(process.env.EBAY_CALL_RESERVE);
+    return reserve >= 0 ? reserve : 100;
+}
+
+/**
+ * Returns the current usage day (YYYY-MM-DD in Pacific time)
+ */
+export function getUsageDay(date = new Date()) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+}
+
+/**
+ * Records one outbound eBay request
+ * @param {string} endpoint - Short endpoint name (e.g. "item_summary/search")
+ * @returns {number} Total calls made today, including this one
+ */
+export function recordApiCall(endpoint) {
+    return dbManager.recordApiCall(getUsageDay(), endpoint);
+}
+
+/**
+ * Checks whether scans should stop making calls for today
+ * @returns {boolean} True once usage reaches the daily limit minus the reserve
+ */
+export function isApiBudgetExhausted() {
+    return dbManager.getApiCallTotal(getUsageDay()) >= getDailyCallLimit() - getCallReserve();
+}
+
+/**
+ * Throws if today's budget is used up, so the request is never sent
+ * @throws {Error} With code API_BUDGET_EXHAUSTED
+ */
+export function assertApiBudget() {
+    if (isApiBudgetExhausted()) {
+        const used = dbManager.getApiCallTotal(getUsageDay());
+        const error = new Error(`Daily eBay API budget exhausted (${used}/${getDailyCallLimit()} calls, ${getCallReserve()} held in reserve)`);
+        error.code = API_BUDGET_EXHAUSTED;
+        throw error;
+    }
+}
+
+/**
+ * Summarizes today's usage for the API and logs
+ * @returns {Object} { day, limit, reserve, used, remaining, exhausted, endpoints }
+ */
+export function getUsageSummary() {
+    const day = getUsageDay();
+    const endpoints = dbManager.getApiUsage(day);
+    const used = Object.values(endpoints).reduce((sum, calls) => sum + calls, 0);
+    const limit = getDailyCallLimit();
+    const reserve = getCallReserve();
+
+    return {
+        day,
+        limit,
+        reserve,
+        used,
+        remaining: Math.max(limit - used, 0),
+        exhausted: used >= limit - reserve,
+        endpoints
+    };
+}
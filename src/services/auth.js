@@ -1,8 +1,19 @@
 import fetch from 'node-fetch';
+import { recordApiCall } from './apiBudget.js';
+import { getTokenUrl, EBAY_API_SCOPE } from './ebayConfig.js';
 
-async function fetchAccessToken() {
+// Refresh the token this long before eBay says it expires
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Application token shared by every caller until shortly before it expires
+let cachedToken = null;
+let tokenExpiresAt = 0;
+// Refresh in flight, shared by concurrent callers so only one token request is made
+let refreshPromise = null;
+
+async function requestAccessToken() {
     console.log('Fetching access token...');
-    
+
     const clientId = process.env.EBAY_CLIENT_ID;
     const clientSecret = process.env.EBAY_CLIENT_SECRET;
 
@@ -13,15 +24,16 @@ async function fetchAccessToken() {
         throw new Error('Missing eBay API credentials');
     }
 
-    const tokenUrl = 'https://api.ebay.com/identity/v1/oauth2/token';
+    const tokenUrl = getTokenUrl();
     try {
+        recordApiCall('oauth2/token');
         const response = await fetch(tokenUrl, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
                 'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
             },
-            body: 'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope'
+            body: `grant_type=client_credentials&scope=${encodeURIComponent(EBAY_API_SCOPE)}`
         });
 
         console.log('Token request status:', response.status);
@@ -29,12 +41,17 @@ async function fetchAccessToken() {
         if (!response.ok) {
             const errorText = await response.text();
             console.error('Token fetch error:', errorText);
-            throw new Error(`Token fetch failed: ${errorText}`);
+            const error = new Error(`Token fetch failed: ${errorText}`);
+            error.status = response.status;
+            throw error;
         }
 
         const data = await response.json();
         console.log('Access token obtained successfully');
-        return data.access_token;
+        return {
+            accessToken: data.access_token,
+            expiresIn: data.expires_in || 0
+        };
 
     } catch (error) {
         console.error('Complete access token error:', error);
@@ -42,4 +59,43 @@ async function fetchAccessToken() {
     }
 }
 
-export default fetchAccessToken;
\ No newline at end of file
+/**
+ * Returns a valid eBay application token
+ * The token is cached until shortly before expires_in, and concurrent
+ * callers share a single in-flight refresh
+ * @returns {Promise<string>} The access token
+ */
+async function fetchAccessToken() {
+    if (cachedToken && Date.now() < tokenExpiresAt) {
+        return cachedToken;
+    }
+
+    if (!refreshPromise) {
+        refreshPromise = requestAccessToken()
+            .then(({ accessToken, expiresIn }) => {
+                cachedToken = accessToken;
+                tokenExpiresAt = Date.now() + Math.max(expiresIn * 1000 - EXPIRY_MARGIN_MS, 0);
+                return accessToken;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+
+    return refreshPromise;
+}
+
+/**
+ * Drops the cached token so the next fetchAccessToken() requests a new one
+ * Called after eBay rejects a token with 401
+ * @param {string} [token] - The rejected token; if another caller has already
+ *                           replaced it, the newer token is kept
+ */
+export function invalidateAccessToken(token) {
+    if (!token || token === cachedToken) {
+        cachedToken = null;
+        tokenExpiresAt = 0;
+    }
+}
+
+export default fetchAccessToken;
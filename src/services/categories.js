@@ -0,0 +1,149 @@
+// categories.js
+// Category lookup for autocomplete, backed by the newest
+// ebay_categories_<marketplace>_*.json written by get_categories.js (run it
+// again to refresh the copy). Each marketplace has its own tree and category
+// IDs; dumps without a marketplace in the name are EBAY_US ones.
+// The dump is a depth-first walk of the tree with a level per category, so a
+// category's parent is the closest earlier entry one level up.
+import { readdir, readFile, stat } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { DEFAULT_MARKETPLACE } from '../constants/marketplaces.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..', '..');
+// ebay_categories_[<marketplace>_]<timestamp>.json
+const CATEGORY_FILE_PATTERN = /^ebay_categories_(?:(EBAY_[A-Z]+)_)?(.+)\.json$/;
+
+// Parsed copy of each marketplace's newest dump, reloaded when a newer file appears
+const cachedTrees = new Map();
+
+/**
+ * Finds a marketplace's newest category dump in the project root
+ * @param {string} marketplace - eBay marketplace ID
+ * @returns {Promise<string|null>} File name, or null if there is none
+ */
+async function findNewestCategoryFile(marketplace) {
+    const files = [];
+    for (const name of await readdir(PROJECT_ROOT)) {
+        const match = name.match(CATEGORY_FILE_PATTERN);
+        if (match && (match[1] || DEFAULT_MARKETPLACE) === marketplace) {
+            files.push({ name, timestamp: match[2] });
+        }
+    }
+    // Names carry an ISO timestamp, so they sort chronologically
+    files.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return files.pop()?.name || null;
+}
+
+/**
+ * Loads a marketplace's category tree, adding each category's parent and full path
+ * @param {string} [marketplace] - eBay marketplace ID (default: EBAY_US)
+ * @returns {Promise<{file: string|null, categories: Object[], byId: Map}>} An empty tree
+ *          when no dump has been downloaded for the marketplace
+ */
+export async function loadCategoryTree(marketplace = DEFAULT_MARKETPLACE) {
+    const file = await findNewestCategoryFile(marketplace);
+    if (!file) {
+        return { file: null, categories: [], byId: new Map() };
+    }
+
+    const { mtimeMs } = await stat(join(PROJECT_ROOT, file));
+    const cachedTree = cachedTrees.get(marketplace);
+    if (cachedTree?.file === file && cachedTree.mtimeMs === mtimeMs) {
+        return cachedTree;
+    }
+
+    const rows = JSON.parse(await readFile(join(PROJECT_ROOT, file), 'utf8'));
+    const categories = [];
+    const byId = new Map();
+    const ancestors = []; // ancestors[level] = latest category seen at that level
+
+    for (const row of rows) {
+        const parent = row.level > 0 ? ancestors[row.level - 1] : null;
+        const category = {
+            categoryId: String(row.categoryId),
+            categoryName: row.categoryName,
+            level: row.level,
+            isLeaf: !!row.isLeaf,
+            parentId: parent?.categoryId || null,
+            // The root ("Root", level 0) is left out of paths
+            path: parent && parent.level > 0 ? `${parent.path} > ${row.categoryName}` : row.categoryName
+        };
+
+        ancestors[row.level] = category;
+        ancestors.length = row.level + 1;
+        categories.push(category);
+        byId.set(category.categoryId, category);
+    }
+
+    const tree = { file, mtimeMs, categories, byId };
+    cachedTrees.set(marketplace, tree);
+    return tree;
+}
+
+/**
+ * Searches category names for autocomplete
+ * Names starting with the query come first, then other matches, shallower
+ * categories before deeper ones
+ * @param {string} query - Text to look for in category names (case-insensitive),
+ *                         or an exact category ID
+ * @param {number} limit - Maximum number of matches (default: 20)
+ * @param {string} [marketplace] - eBay marketplace whose tree is searched (default: EBAY_US)
+ * @returns {Promise<Object[]>} Matching categories ({ categoryId, categoryName, path, level, isLeaf })
+ */
+export async function searchCategories(query, limit = 20, marketplace = DEFAULT_MARKETPLACE) {
+    const text = query?.trim().toLowerCase();
+    if (!text) return [];
+
+    const { categories } = await loadCategoryTree(marketplace);
+
+    return categories
+        .filter(category => category.level > 0)
+        .map(category => {
+            if (category.categoryId === text) {
+                return { category, rank: 0 };
+            }
+            const position = category.categoryName.toLowerCase().indexOf(text);
+            return { category, rank: position === 0 ? 0 : position > 0 ? 1 : -1 };
+        })
+        .filter(({ rank }) => rank >= 0)
+        .sort((a, b) => a.rank - b.rank || a.category.level - b.category.level)
+        .slice(0, limit)
+        .map(({ category: { categoryId, categoryName, path, level, isLeaf } }) =>
+            ({ categoryId, categoryName, path, level, isLeaf }));
+}
+
+/**
+ * Builds a test for whether a category sits under any of the given categories
+ * Uses the marketplace's stored tree; IDs it doesn't know only match themselves
+ * @param {string[]} rootIds - Category IDs whose subtrees count
+ * @param {string} [marketplace] - eBay marketplace the IDs belong to (default: EBAY_US)
+ * @returns {Promise<function(string): boolean>}
+ */
+export async function createCategorySubtreeMatcher(rootIds, marketplace = DEFAULT_MARKETPLACE) {
+    const { byId } = await loadCategoryTree(marketplace);
+    const roots = new Set(rootIds.map(String));
+
+    return categoryId => {
+        for (let id = String(categoryId); id; id = byId.get(id)?.parentId) {
+            if (roots.has(id)) return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Reads category IDs from a request: an array, or a comma-separated string
+ * @param {string[]|string} value - Category IDs as sent by the client
+ * @returns {string[]} Trimmed, de-duplicated IDs (empty when none were given)
+ */
+export function parseCategoryIds(value) {
+    const ids = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+}
+
+// eBay category IDs are numeric
+export function isValidCategoryId(id) {
+    return /^\d+$/.test(id);
+}
@@ -1,85 +1,169 @@
 import logger from '../utils/logger.js';
-import fetchAccessToken from '../services/auth.js';
 import { EBAY_CONDITIONS } from '../constants/conditions.js';
 import { URLSearchParams } from 'url';
-import { delay } from '../utils/helpers.js';
+import { delay, runOrderedPool } from '../utils/helpers.js';
+import { getUsageSummary, API_BUDGET_EXHAUSTED } from './apiBudget.js';
+import { browseGet, EbayApiError } from './ebayHttp.js';
+import { getBrowseApiUrl } from './ebayConfig.js';
+import { buildBrowseFilters, buildExcludedTermsQuery } from './searchFilters.js';
+import { computeSellerScore } from './sellerScore.js';
+import { createTitleMatcher, TITLE_MATCHER_VERSION } from '../utils/titleMatcher.js';
+import { getMarketplace, DEFAULT_MARKETPLACE } from '../constants/marketplaces.js';
+import { DEFAULT_DETECTION_MODE, DEFAULT_SPECIALIST_THRESHOLD, usesCategories } from '../constants/detectionModes.js';
+import { createCategorySubtreeMatcher } from './categories.js';
+import { DEFAULT_LISTING_MODE, DEFAULT_LISTING_LIMIT } from '../constants/listingModes.js';
+import { DEFAULT_MAX_ITEMS, DEFAULT_SORT_ORDER, ITEMS_PER_PAGE, MAX_SEARCH_ITEMS } from '../constants/searchPaging.js';
 import dbManager from '../db/DatabaseListingsManager.js';
 import { updateSellerProgress } from './progress.js';
 
-export async function fetchSellerListings(sellerUsername, typicalPhrases) {
+/**
+ * Analyzes a seller's inventory to decide whether they are a specialist
+ * Two ratios can be measured: sampled titles matching the typical phrases, and
+ * the share of the seller's listings under the specialist categories (from the
+ * Browse API category refinements). The detection mode picks which one decides.
+ * A cached analysis from seller_profiles is reused when it is younger than the
+ * TTL and was computed on the same marketplace with the same typical phrases and
+ * the current title matching rules and sampler
+ * @param {string} sellerUsername - eBay seller username
+ * @param {string[]} typicalPhrases - Phrases identifying the target category
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the analysis (scan cancellation)
+ * @param {string} [options.marketplace] - eBay marketplace to look the seller up on (default: EBAY_US)
+ * @param {number} [options.profileTtlDays] - Max age of a reusable cached analysis
+ *                                            (default: SELLER_PROFILE_TTL_DAYS or 7; 0 disables the cache)
+ * @param {number} [options.sampleSize] - Listings to sample (default: SELLER_SAMPLE_SIZE or 100)
+ * @param {string} [options.detectionMode] - title, category or combined (default: title)
+ * @param {string[]} [options.specialistCategoryIds] - Category subtrees that count as the
+ *                                                     target category (category and combined modes)
+ * @param {number} [options.specialistThreshold] - Sellers above this ratio are specialists (default: 20)
+ * @param {number} [options.minRatio] - Sellers at or below this ratio are unrelated (default: none)
+ * @param {number} [options.minSampleSize] - Fewer sampled listings than this is "insufficient data"
+ * @param {number} [options.feedbackScore] - Seller's feedback score, from their listings (for the score)
+ * @param {number|string} [options.feedbackPercentage] - Seller's positive feedback % (for the score)
+ * @param {Object} [options.scoreWeights] - Score factor weights (default: DEFAULT_SCORE_WEIGHTS)
+ * @returns {Promise<Object>} The analysis; outcome is qualified, specialist, unrelated or
+ *          insufficient_data (shouldExclude is set for specialist and unrelated), and
+ *          score ranks the seller from 0 to 100
+ */
+export async function fetchSellerListings(sellerUsername, typicalPhrases, options = {}) {
+    const { signal } = options;
+    const marketplace = options.marketplace || DEFAULT_MARKETPLACE;
+    const profileTtlDays = options.profileTtlDays ?? getSellerProfileTtlDays();
+    const detectionMode = options.detectionMode || DEFAULT_DETECTION_MODE;
+    const specialistCategoryIds = options.specialistCategoryIds || [];
     try {
-        let totalListings = 0;
-        let matchingListingsCount = 0;
-        let sampleListings = [];
-        
-        // First, get the seller's total listings across ALL categories using Browse API
-        totalListings = await getSellerTotalListingsBrowseAPI(sellerUsername);
-
-        // If we can't get total listings, we should still continue but log a warning
-        if (totalListings === 0) {
-            await logger.log(`Warning: Could not get total listings for ${sellerUsername}`);
+        let analysis = null;
+
+        if (profileTtlDays > 0) {
+            const profile = dbManager.getSellerProfile(sellerUsername, marketplace, typicalPhrases, profileTtlDays);
+            if (isReusableProfile(profile, detectionMode)) {
+                await logger.log(`Using cached analysis for ${sellerUsername} from ${profile.analyzed_at}`);
+                analysis = {
+                    ratio: profile.ratio,
+                    totalListings: profile.total_listings,
+                    sampleSize: profile.sample_size,
+                    matchCount: profile.match_count,
+                    sampleListings: [],
+                    sampleMethod: profile.sample_method,
+                    coverage: profile.coverage,
+                    categoryDistributions: profile.category_distribution || [],
+                    cached: true
+                };
+            }
         }
 
-        if (totalListings > 100) 
-            totalListings = 100;
-
-        await logger.log(`Total listings for seller ${sellerUsername}: ${totalListings}`);
-
-        // Get sample inventory using Browse API
-        const maxItems = Math.min(totalListings, 100);
-        sampleListings = await getSellerInventoryBrowseAPI(sellerUsername, maxItems);
-        
-        if (sampleListings.length > 0) {
-            for (const item of sampleListings) {
-                // Check if item title contains any of the search phrases
-                const itemTitle = item.title.toLowerCase();
-                const matchesPhrase = typicalPhrases.some(phrase => 
-                    itemTitle.includes(phrase.toLowerCase())
-                );
-
-                if (matchesPhrase) {
-                    matchingListingsCount++;
-                    await logger.log(`Matching title found: ${item.title}`);
-                }
+        if (!analysis) {
+            const sampleSize = options.sampleSize || getSellerSampleSize();
+            analysis = await sampleSellerInventory(sellerUsername, typicalPhrases, sampleSize, { signal, marketplace });
+
+            // An empty sample carries no information, so don't keep it around
+            if (analysis.sampleSize > 0) {
+                dbManager.saveSellerProfile(sellerUsername, marketplace, {
+                    ratio: analysis.ratio,
+                    sampleSize: analysis.sampleSize,
+                    matchCount: analysis.matchCount,
+                    totalListings: analysis.totalListings,
+                    sampleMethod: analysis.sampleMethod,
+                    coverage: analysis.coverage,
+                    categoryDistributions: analysis.categoryDistributions,
+                    typicalPhrases,
+                    matcherVersion: TITLE_MATCHER_VERSION
+                });
             }
-            
-            await logger.log(`Analyzed ${sampleListings.length} sample listings for ${sellerUsername}`);
-            await logger.log(`Found ${matchingListingsCount} listings matching typical phrases`);
         }
+
+        const titleRatio = analysis.ratio;
+        const categoryRatio = specialistCategoryIds.length > 0
+            ? await getCategoryRatio(analysis.categoryDistributions, specialistCategoryIds, marketplace)
+            : null;
+        const ratio = detectionMode === 'category' ? categoryRatio ?? 0
+            : detectionMode === 'combined' ? Math.max(titleRatio, categoryRatio ?? 0)
+            : titleRatio;
+
+        // Analysis criteria: the seller qualifies when the ratio falls in (minRatio, specialistThreshold].
+        // By default 0% sellers are included - they're casual sellers with one-off items
+        const specialistThreshold = options.specialistThreshold ?? DEFAULT_SPECIALIST_THRESHOLD;
+        const minRatio = options.minRatio ?? null;
+        const minSampleSize = options.minSampleSize || 0;
+
+        let outcome = 'qualified';
+        let decision = `DECISION: INCLUDING ${sellerUsername} - ${ratio.toFixed(2)}% matching`;
+        if (analysis.sampleSize < minSampleSize) {
+            outcome = 'insufficient_data';
+            decision = `DECISION: INSUFFICIENT DATA for ${sellerUsername} - ${analysis.sampleSize} listings sampled (minimum ${minSampleSize})`;
+        } else if (ratio > specialistThreshold) {
+            outcome = 'specialist';
+            decision = `DECISION: EXCLUDING ${sellerUsername} - ${ratio.toFixed(2)}% matching (specialist, above ${specialistThreshold}%)`;
+        } else if (minRatio !== null && ratio <= minRatio) {
+            outcome = 'unrelated';
+            decision = `DECISION: EXCLUDING ${sellerUsername} - ${ratio.toFixed(2)}% matching (unrelated, at or below ${minRatio}%)`;
+        }
+        const shouldExclude = outcome === 'specialist' || outcome === 'unrelated';
+
+        const { score, factors: scoreFactors } = computeSellerScore({
+            ratio,
+            specialistThreshold,
+            feedbackScore: options.feedbackScore,
+            feedbackPercentage: options.feedbackPercentage,
+            totalListings: analysis.totalListings,
+            sampleSize: analysis.sampleSize
+        }, options.scoreWeights);
         
-        // Calculate the ratio based on the sample
-        const sampleSize = sampleListings.length;
-        const categoryRatio = sampleSize > 0 ? (matchingListingsCount / sampleSize) : 0;
-        const ratio = categoryRatio * 100; // Convert to percentage
-        
-        // Analysis criteria
-        const MINIMUM_RATIO = 20;
-        // Include sellers with 0% - they're casual sellers with one-off jewelry items
-        // Only exclude if ratio > 20% (specialists)
-        const shouldExclude = ratio > MINIMUM_RATIO;
-        
-        await logger.log(`Sample ratio: ${ratio.toFixed(2)}%`);
-        await logger.log(shouldExclude
-            ? `DECISION: EXCLUDING ${sellerUsername} - ${ratio.toFixed(2)}% matching phrases`
-            : `DECISION: INCLUDING ${sellerUsername} - ${ratio.toFixed(2)}% matching phrases`);
+        await logger.log(`Sample ratio: ${titleRatio.toFixed(2)}% (${analysis.sampleSize} of ${analysis.totalListings} listings, ${analysis.sampleMethod || 'unrecorded method'})`);
+        await logger.log(`Title ratio: ${titleRatio.toFixed(2)}% | Category ratio: ` +
+            `${categoryRatio === null ? 'n/a' : `${categoryRatio.toFixed(2)}%`} | Detection: ${detectionMode}`);
+        await logger.log(decision);
+        await logger.log(`Seller score: ${score}`);
         
         return {
             shouldExclude,
+            outcome,
             error: false,
-            listings: sampleListings,
+            cached: analysis.cached,
+            listings: analysis.sampleListings,
             ratio: ratio,
-            total: totalListings,
+            titleRatio,
+            categoryRatio,
+            detectionMode,
+            score,
+            scoreFactors,
+            total: analysis.totalListings,
             sampleData: {
-                sampleSize,
-                matchCount: matchingListingsCount
+                sampleSize: analysis.sampleSize,
+                matchCount: analysis.matchCount,
+                method: analysis.sampleMethod,
+                coverage: analysis.coverage
             }
         };
         
     } catch (error) {
         await logger.log(`Error fetching listings for ${sellerUsername}: ${error.message}`);
+        // A failed analysis says nothing about the seller: it is neither qualified nor excluded
         return {
-            shouldExclude: true, // Exclude on error to be safe
+            shouldExclude: false,
             error: true,
+            retryable: error instanceof EbayApiError && error.retryable,
+            budgetExhausted: error.code === API_BUDGET_EXHAUSTED,
             listings: [],
             ratio: 0,
             total: 0,
@@ -88,10 +172,122 @@ export async function fetchSellerListings(sellerUsername, typicalPhrases) {
     }
 }
 
-export async function fetchListingsForPhrase(accessToken, phrase, typicalPhrases,feedbackThreshold, conditions) {
-    await trackApiCall();
+/**
+ * Fetches a sample of the seller's inventory and measures how much of it
+ * matches the typical phrases
+ * @returns {Promise<Object>} { ratio, totalListings, sampleSize, matchCount, sampleListings,
+ *          sampleMethod, coverage, categoryDistributions, cached: false }
+ */
+async function sampleSellerInventory(sellerUsername, typicalPhrases, sampleSize, requestOptions) {
+    let matchingListingsCount = 0;
+
+    const sample = await getSellerInventorySample(sellerUsername, sampleSize, requestOptions);
+    const sampleListings = sample.listings;
+    const totalListings = sample.reachableListings;
+
+    if (totalListings === 0) {
+        await logger.log(`Warning: No listings found for ${sellerUsername}`);
+    }
+
+    if (sampleListings.length > 0) {
+        const matchesTypicalPhrase = createTitleMatcher(typicalPhrases);
+        for (const item of sampleListings) {
+            // Whole-word match against any typical phrase (see titleMatcher.js for the syntax)
+            if (matchesTypicalPhrase(item.title)) {
+                matchingListingsCount++;
+                await logger.log(`Matching title found: ${item.title}`);
+            }
+        }
+        
+        await logger.log(`Analyzed ${sampleListings.length} sample listings for ${sellerUsername}`);
+        await logger.log(`Found ${matchingListingsCount} listings matching typical phrases`);
+    }
+    
+    // Calculate the ratio based on the sample
+    const categoryRatio = sampleListings.length > 0 ? (matchingListingsCount / sampleListings.length) : 0;
+
+    return {
+        ratio: categoryRatio * 100, // Convert to percentage
+        totalListings,
+        sampleSize: sampleListings.length,
+        matchCount: matchingListingsCount,
+        sampleListings,
+        sampleMethod: sample.method,
+        // Share of the reachable listings that were sampled
+        coverage: totalListings > 0 ? sampleListings.length / totalListings : 0,
+        categoryDistributions: sample.categoryDistributions,
+        cached: false
+    };
+}
+
+/**
+ * Searches eBay for a phrase and returns listings from qualified sellers
+ * Every request takes the current cached token, so a long scan never uses a stale one
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the phrase early (scan cancellation);
+ *                                         listings qualified so far are still returned
+ * @param {number} [options.sellerConcurrency] - Sellers analyzed in parallel
+ *                                               (default: SELLER_ANALYSIS_CONCURRENCY or 3)
+ * @param {number} [options.profileTtlDays] - Passed to fetchSellerListings
+ * @param {string} [options.marketplace] - eBay marketplace to search (default: EBAY_US)
+ * @param {string[]} [options.categoryIds] - Only search these categories (sent as category_ids)
+ * @param {Object} [options.listingFilters] - Price, buying format and listing age
+ *                                            limits (see parseListingFilters), sent as filter/sort
+ * @param {string} [options.detectionMode] - Passed to fetchSellerListings
+ * @param {string[]} [options.specialistCategoryIds] - Passed to fetchSellerListings
+ * @param {number} [options.specialistThreshold] - Passed to fetchSellerListings
+ * @param {number} [options.minRatio] - Passed to fetchSellerListings
+ * @param {number} [options.minSampleSize] - Passed to fetchSellerListings
+ * @param {string} [options.listingMode] - Listings kept per qualified seller: first, all or
+ *                                         cheapest (default: first)
+ * @param {number} [options.listingLimit] - How many listings the cheapest mode keeps (default: 3)
+ * @param {Object} [options.scoreWeights] - Seller score factor weights (default: DEFAULT_SCORE_WEIGHTS)
+ * @param {number} [options.searchId] - Search being scanned, for its seller overrides (global ones always apply)
+ * @param {string[]} [options.excludedTerms] - Negative keywords: sent as -term in q and removed from titles locally
+ * @param {number} [options.maxItems] - Most items to fetch for the phrase (default: 600)
+ * @param {string} [options.sortOrder] - A SORT_ORDERS key (default: best match, or newest first
+ *                                      with a listing-age filter)
+ * @param {number} [options.priceDropPercent] - Recently seen items whose price fell by more than
+ *                                             this % since last seen are processed again, tagged
+ *                                             with priceDrop (default: never)
+ * @returns {Promise<{listings: Object[], stats: Object}>} Qualified listings plus
+ *          per-phrase counts (fetched, deduplicated, condition-filtered, sellers)
+ */
+export async function fetchListingsForPhrase(phrase, typicalPhrases,feedbackThreshold, conditions, options = {}) {
+    const { signal, marketplace, categoryIds, listingFilters } = options;
+    const excludedTerms = options.excludedTerms || [];
+    await logApiUsage();
     await delay(1000); // 1 second delay
 
+    // Per-phrase counts, recorded on the scan run
+    const stats = {
+        phrase,
+        itemsFetched: 0,
+        pagesFetched: 0,
+        duplicatesSkipped: 0,
+        priceDropsResurfaced: 0,
+        negativeKeywordFiltered: 0,
+        conditionFiltered: 0,
+        sellersAnalyzed: 0,
+        sellersQualified: 0,
+        listingsQualified: 0,
+        sellerProfilesReused: 0,
+        sellersSkippedBudget: 0,
+        sellersFailed: 0,
+        sellersFailedRetryable: 0,
+        sellersInsufficientData: 0,
+        sellersOverridden: 0,
+        budgetExhausted: false,
+        cancelled: false,
+        error: null,
+        errorRetryable: false
+    };
+
+    // Declared outside the try so a cancelled phrase can still return its partial results
+    const processedSellers = new Set();
+    const filteredListings = [];
+    let qualifiedSellerCounter = 0;
+
     try {
         // Add debug logging
         await logger.log('\n=== Starting fetchListingsForPhrase ===');
@@ -99,47 +295,66 @@ export async function fetchListingsForPhrase(accessToken, phrase, typicalPhrases
             phrase,
             typicalPhrases,
             feedbackThreshold,
-            conditions
+            conditions,
+            marketplace,
+            categoryIds,
+            listingFilters,
+            excludedTerms
         });
 
         // Get recent item IDs for deduplication (skip items seen in last 7 days)
         const recentItemIds = dbManager.getRecentItemIds(7);
         await logger.log(`Loaded ${recentItemIds.size} recent items for deduplication`);
 
-        const processedSellers = new Set();
-        const filteredListings = [];
+        // Blocklisted and allowlisted sellers skip the inventory analysis
+        const sellerOverrides = dbManager.getSellerOverrideMap(options.searchId ?? null);
+        await logger.log(`Loaded ${sellerOverrides.size} seller overrides`);
 
-        // Fetch multiple pages of results (pagination)
-        const PAGES_TO_FETCH = 3; // Fetch 3 pages = 600 items
-        const ITEMS_PER_PAGE = 200; // eBay max
+        // Page until maxItems, or until eBay says there are no more results
+        const maxItems = Math.min(options.maxItems || DEFAULT_MAX_ITEMS, MAX_SEARCH_ITEMS);
         let allItems = [];
 
-        for (let page = 0; page < PAGES_TO_FETCH; page++) {
-            const offset = page * ITEMS_PER_PAGE;
-            const url = `https://api.ebay.com/buy/browse/v1/item_summary/search?` +
-                `q=${encodeURIComponent(phrase)}` +
-                `&limit=${ITEMS_PER_PAGE}` +
-                `&offset=${offset}`;
-
-            await logger.log(`Fetching page ${page + 1}/${PAGES_TO_FETCH} (offset: ${offset})...`);
+        // Built once, so every page shares the same listing-age cutoff
+        const currency = getMarketplace(marketplace || DEFAULT_MARKETPLACE)?.currency || 'USD';
+        const { filter, sort: filterSort } = buildBrowseFilters(listingFilters, currency);
+        // An explicit sort order wins over the one the listing filters ask for
+        const sortOrder = options.sortOrder || DEFAULT_SORT_ORDER;
+        const sort = sortOrder !== DEFAULT_SORT_ORDER ? sortOrder : filterSort;
+        const { q, omitted } = buildExcludedTermsQuery(phrase, excludedTerms);
+        if (omitted.length > 0) {
+            await logger.log(`Excluded terms filtered locally only (not sent to eBay): ${omitted.join(', ')}`);
+        }
 
-            // Fetch listings from eBay API
-            const response = await fetchWithTimeout(url, {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json',
-                    'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
-                },
-            });
+        for (let page = 0; allItems.length < maxItems; page++) {
+            const offset = allItems.length;
+            const limit = Math.min(ITEMS_PER_PAGE, maxItems - offset);
+            const url = `${getBrowseApiUrl()}/item_summary/search?` +
+                `q=${encodeURIComponent(q)}` +
+                (categoryIds?.length ? `&category_ids=${categoryIds.join(',')}` : '') +
+                (filter.length ? `&filter=${encodeURIComponent(filter.join(','))}` : '') +
+                (sort ? `&sort=${encodeURIComponent(sort)}` : '') +
+                `&limit=${limit}` +
+                `&offset=${offset}`;
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                await logger.log(`Error on page ${page + 1}: ${response.status} - ${errorText}`);
-                break; // Stop pagination on error
+            await logger.log(`Fetching page ${page + 1} (offset: ${offset}, up to ${maxItems} items)...`);
+
+            // Fetch listings from eBay API (transient errors are retried inside browseGet)
+            let data;
+            try {
+                // No token passed: each page takes the cached one, refreshed before it expires
+                data = await browseGet(url, { signal, marketplace });
+            } catch (error) {
+                // Without the first page there is nothing to work with
+                if (page === 0 || !(error instanceof EbayApiError)) throw error;
+
+                // Keep the pages already fetched and note why the rest are missing
+                await logger.log(`Error on page ${page + 1}: ${error.message} - keeping ${allItems.length} items from earlier pages`);
+                stats.error = error.message;
+                stats.errorRetryable = error.retryable;
+                break;
             }
 
-            const data = await response.json();
+            stats.pagesFetched++;
 
             // Check if we have results
             if (!data.itemSummaries || data.itemSummaries.length === 0) {
@@ -147,42 +362,85 @@ export async function fetchListingsForPhrase(accessToken, phrase, typicalPhrases
                 break; // No more results, stop pagination
             }
 
-            await logger.log(`Page ${page + 1}: Found ${data.itemSummaries.length} items`);
+            await logger.log(`Page ${page + 1}: Found ${data.itemSummaries.length} items (${data.total ?? 'unknown'} in total)`);
             allItems.push(...data.itemSummaries);
 
+            // Stop as soon as eBay has nothing more, instead of asking for an empty page
+            if (!data.next || (data.total !== undefined && allItems.length >= data.total)) {
+                await logger.log(`Page ${page + 1}: Last page of results`);
+                break;
+            }
+
             // Add delay between pages to avoid rate limiting (except after last page)
-            if (page < PAGES_TO_FETCH - 1) {
+            if (allItems.length < maxItems) {
                 await delay(1000);
             }
         }
+        allItems = allItems.slice(0, maxItems);
 
         // Check for empty results
         if (allItems.length === 0) {
             await logger.log(`No listings found for phrase "${phrase}"`);
-            return [];
+            return { listings: [], stats };
         }
+        stats.itemsFetched = allItems.length;
 
         await logger.log(`Found ${allItems.length} total listings across all pages for phrase "${phrase}"`);
 
-        // Filter out items we've seen recently (deduplication)
-        const newItems = allItems.filter(item => !recentItemIds.has(item.itemId));
+        // Every sighting of a known item goes into its price history
+        const previousPrices = dbManager.recordPriceSightings(allItems.map(item => {
+            const price = parseFloat(item.price?.value);
+            return { itemId: item.itemId, price: isNaN(price) ? null : price, currency: item.price?.currency };
+        }));
+
+        // Filter out items we've seen recently (deduplication), unless their price dropped enough
+        const newItems = [];
+        for (const item of allItems) {
+            if (!recentItemIds.has(item.itemId)) {
+                newItems.push(item);
+                continue;
+            }
+            const priceDrop = getPriceDrop(item, previousPrices.get(item.itemId), options.priceDropPercent);
+            if (priceDrop) {
+                stats.priceDropsResurfaced++;
+                await logger.log(`Price drop - Title: "${item.title}", ${priceDrop.previousPrice} -> ` +
+                    `${item.price.value} (-${priceDrop.dropPercent}%), processing again`);
+                newItems.push({ ...item, priceDrop });
+            }
+        }
         const duplicateCount = allItems.length - newItems.length;
+        stats.duplicatesSkipped = duplicateCount;
 
         if (duplicateCount > 0) {
             await logger.log(`Skipped ${duplicateCount} items seen in last 7 days (deduplication)`);
         }
         await logger.log(`Processing ${newItems.length} new items`);
 
-        // Print out all search results
-        for (const item of newItems) {
+        // eBay may not apply every -term, so titles are checked against the excluded terms too
+        let keptItems = newItems;
+        if (excludedTerms.length > 0) {
+            const matchesExcludedTerm = createTitleMatcher(excludedTerms);
+            keptItems = [];
+            for (const item of newItems) {
+                if (matchesExcludedTerm(item.title)) {
+                    await logger.log(`Filtered out by negative keyword - Title: "${item.title}"`);
+                } else {
+                    keptItems.push(item);
+                }
+            }
+            stats.negativeKeywordFiltered = newItems.length - keptItems.length;
+        }
+
+        // Print out the search results left after deduplication and negative keywords
+        for (const item of keptItems) {
             await logger.log(`Initial search results for this run: Title: ${item.title}, Seller: ${item.seller.username}, Condition: ${item.condition}`);
         }
         // Create array to store valid items
         let validListings = [];
         await logger.log('\n=== Processing Conditions ===');
 
-        // Process items one by one (only new items after deduplication)
-        for (const item of newItems) {
+        // Process items one by one (only new items after deduplication and negative keywords)
+        for (const item of keptItems) {
             const matchingCondition = Object.values(EBAY_CONDITIONS).find(conditionObject => {
                 return conditionObject.variants.includes(item.condition);
             });
@@ -212,6 +470,7 @@ export async function fetchListingsForPhrase(accessToken, phrase, typicalPhrases
 
         
         await logger.log(`Found ${validListings.length} listings with matching conditions out of ${allItems.length} total`);
+        stats.conditionFiltered = keptItems.length - validListings.length;
 
         
 
@@ -241,67 +500,164 @@ export async function fetchListingsForPhrase(accessToken, phrase, typicalPhrases
         await logger.log(`Sellers found: ${[...sellerListings.keys()].join(', ')}`);
 
         let sellerCounter = 0;
-        let qualifiedSellerCounter = 0;
 
         // Initialize progress with total sellers
         updateSellerProgress(0, totalSellers, 0);
 
-        // Process each seller
-        for (const [sellerUsername, listings] of sellerListings) {
-            await logger.log(`\nProcessing seller: ${sellerUsername}`);
-
-            if (processedSellers.has(sellerUsername)) {
-                await logger.log(`Skipping already processed seller: ${sellerUsername}`);
-                continue;
-            }
+        // Analyze several sellers at once. Each seller's log lines are captured and
+        // written out in seller order, so the log reads the same as a sequential run.
+        const sellerEntries = [...sellerListings];
+        const concurrency = options.sellerConcurrency || getSellerConcurrency();
+        await logger.log(`Analyzing sellers with up to ${concurrency} in parallel`);
 
-            sellerCounter++;
-            await logger.log(`\n--- Processing Seller ${sellerCounter}/${totalSellers}: ${sellerUsername} ---`);
+        const analyzeSeller = ([sellerUsername, listings], index) => logger.captureLogs(async () => {
+            await logger.log(`\nProcessing seller: ${sellerUsername}`);
+            await logger.log(`\n--- Processing Seller ${index + 1}/${totalSellers}: ${sellerUsername} ---`);
 
-            // Update progress
-            updateSellerProgress(sellerCounter, totalSellers, qualifiedSellerCounter);
-            
             const feedbackScore = listings[0].seller?.feedbackScore || 0;
             await logger.log(`Feedback score: ${feedbackScore}`);
             
+            // Overrides come before the feedback threshold: an allowlisted seller is kept
+            // whatever their feedback, a blocklisted one is never looked at
+            const override = sellerOverrides.get(sellerUsername.toLowerCase());
+            if (override) {
+                const exclude = override.action === 'exclude';
+                const scope = override.search_id ? `search ${override.search_id}` : 'all searches';
+                await logger.log(`DECISION: ${exclude ? 'EXCLUDING' : 'INCLUDING'} ${sellerUsername} - ` +
+                    `${exclude ? 'blocklisted' : 'allowlisted'} by override #${override.id} for ${scope}` +
+                    (override.reason ? ` (${override.reason})` : ''));
+                return {
+                    shouldExclude: exclude,
+                    outcome: exclude ? 'blocklisted' : 'allowlisted',
+                    overridden: true,
+                    error: false,
+                    score: null
+                };
+            }
+
             if (feedbackScore >= feedbackThreshold) {
                 await logger.log(`Skipping due to high feedback score (${feedbackScore} >= ${feedbackThreshold})`);
-                continue;
+                return null;
             }
 
-            processedSellers.add(sellerUsername);
-            
-            const sellerAnalysis = await fetchSellerListings(sellerUsername, typicalPhrases);
+            const sellerAnalysis = await fetchSellerListings(sellerUsername, typicalPhrases, {
+                signal,
+                marketplace,
+                profileTtlDays: options.profileTtlDays,
+                detectionMode: options.detectionMode,
+                specialistCategoryIds: options.specialistCategoryIds,
+                specialistThreshold: options.specialistThreshold,
+                minRatio: options.minRatio,
+                minSampleSize: options.minSampleSize,
+                feedbackScore,
+                feedbackPercentage: listings[0].seller?.feedbackPercentage,
+                scoreWeights: options.scoreWeights
+            });
             await logger.log(`Seller analysis ratio: ${sellerAnalysis.ratio}%`);
+            return sellerAnalysis;
+        });
 
-            if (!sellerAnalysis.error && !sellerAnalysis.shouldExclude) {
-                qualifiedSellerCounter++;
-                await logger.log(`Seller qualified: ${sellerUsername}`);
+        // Called in seller order once a seller and all sellers before it are done
+        const recordSellerResult = async (analyzed, index) => {
+            // Sellers never started because the scan was cancelled
+            if (!analyzed) return;
+
+            const [sellerUsername, listings] = sellerEntries[index];
+            const { result: sellerAnalysis, entries } = analyzed;
+            await logger.replay(entries);
+
+            sellerCounter++;
+
+            // Not analyzed because today's API budget ran out - neither qualified nor excluded
+            if (sellerAnalysis?.budgetExhausted) {
+                stats.sellersSkippedBudget++;
+                stats.budgetExhausted = true;
+                await logger.log(`Seller not analyzed: ${sellerUsername} (daily API budget exhausted)`);
+                updateSellerProgress(sellerCounter, totalSellers, qualifiedSellerCounter);
+                return;
+            }
 
-                // Update progress with qualified sellers count
+            // Skipped for high feedback
+            if (!sellerAnalysis) {
                 updateSellerProgress(sellerCounter, totalSellers, qualifiedSellerCounter);
+                return;
+            }
+
+            if (sellerAnalysis.overridden) {
+                stats.sellersOverridden++;
+            } else {
+                processedSellers.add(sellerUsername);
+            }
+            if (sellerAnalysis.cached) {
+                stats.sellerProfilesReused++;
+            }
+
+            if (sellerAnalysis.outcome === 'insufficient_data') {
+                // Too few listings to judge - neither qualified nor excluded
+                stats.sellersInsufficientData++;
+                await logger.log(`Seller not judged: ${sellerUsername} (insufficient data)`);
+            } else if (!sellerAnalysis.error && !sellerAnalysis.shouldExclude) {
+                qualifiedSellerCounter++;
+                await logger.log(`Seller qualified: ${sellerUsername} (${sellerAnalysis.overridden ? 'allowlisted' : `score ${sellerAnalysis.score}`})`);
                 
-                if (listings.length > 0) {
-                    const addedListing = listings[0];
-                    filteredListings.push(addedListing);
+                for (const addedListing of selectSellerListings(listings, options.listingMode, options.listingLimit)) {
+                    filteredListings.push({ ...addedListing, sellerScore: sellerAnalysis.score });
                     await logger.log(`Added listing: "${addedListing.title}" (${addedListing.itemId})`);
                 }
+            } else if (sellerAnalysis.error) {
+                stats.sellersFailed++;
+                if (sellerAnalysis.retryable) {
+                    stats.sellersFailedRetryable++;
+                }
+                await logger.log(`Seller not analyzed: ${sellerUsername} (${sellerAnalysis.retryable ? 'transient' : 'fatal'} error: ${sellerAnalysis.errorMessage})`);
             } else {
-                await logger.log(`Seller excluded: ${sellerUsername}${sellerAnalysis.error ? ` (Error: ${sellerAnalysis.errorMessage})` : ''}`);
+                await logger.log(`Seller excluded: ${sellerUsername} (${sellerAnalysis.outcome})`);
             }
+
+            // Update progress with processed and qualified seller counts
+            updateSellerProgress(sellerCounter, totalSellers, qualifiedSellerCounter);
+        };
+
+        await runOrderedPool(sellerEntries, concurrency, analyzeSeller, recordSellerResult, signal);
+
+        if (signal?.aborted) {
+            await logger.log(`Scan cancelled - stopped seller analysis for "${phrase}"`);
         }
 
         await logger.log(`\n=== Phrase "${phrase}" Processing Complete ===`);
+        await logger.log(`- Items removed by negative keywords: ${stats.negativeKeywordFiltered}`);
         await logger.log(`- Total sellers processed: ${sellerCounter}`);
         await logger.log(`- Qualified sellers: ${qualifiedSellerCounter}`);
         await logger.log(`- Qualified listings found: ${filteredListings.length}`);
 
-        return filteredListings;
+        stats.sellersAnalyzed = processedSellers.size;
+        stats.sellersQualified = qualifiedSellerCounter;
+        stats.listingsQualified = filteredListings.length;
+        stats.cancelled = !!signal?.aborted;
+        return { listings: filteredListings, stats };
 
     } catch (error) {
+        stats.sellersAnalyzed = processedSellers.size;
+        stats.sellersQualified = qualifiedSellerCounter;
+        stats.listingsQualified = filteredListings.length;
+
+        if (signal?.aborted) {
+            await logger.log(`Scan cancelled while processing phrase "${phrase}"`);
+            stats.cancelled = true;
+            return { listings: filteredListings, stats };
+        }
+
+        if (error.code === API_BUDGET_EXHAUSTED) {
+            await logger.log(`Stopped phrase "${phrase}": ${error.message}`);
+            stats.budgetExhausted = true;
+            return { listings: filteredListings, stats };
+        }
+
         await logger.log(`Error processing phrase "${phrase}": ${error.message}`);
         await logger.log(error.stack); // Log stack trace for debugging
-        return [];
+        stats.error = error.message;
+        stats.errorRetryable = error instanceof EbayApiError && error.retryable;
+        return { listings: [], stats };
     }
 }
 
@@ -320,14 +676,12 @@ export async function fetchAllListings(searchPhrases, typicalPhrases, feedbackTh
         }
 
         //await previousListings.cleanup(30); // Cleans up listings older than 30 days
-        const accessToken = await fetchAccessToken();
-        await logger.log('Access token obtained successfully');
         await logger.log(`Starting scan with searchPhrases: ${JSON.stringify(validSearchPhrases)}`);
         const allListings = [];
 
         for (const phrase of validSearchPhrases) {
             console.log('Searching for phrase:', phrase);
-            const listings = await fetchListingsForPhrase(accessToken, phrase, typicalPhrases,feedbackThreshold, conditions);
+            const { listings } = await fetchListingsForPhrase(phrase, typicalPhrases,feedbackThreshold, conditions);
             console.log(`Found ${listings.length} listings for phrase: ${phrase}`);
             if (listings && listings.length > 0) {
                 allListings.push(...listings);
@@ -343,143 +697,233 @@ export async function fetchAllListings(searchPhrases, typicalPhrases, feedbackTh
     }
 }
 
-async function trackApiCall() {
-    // Initialize variables
-    let apiCallsCount = 0;
-    apiCallsCount++;
-    await logger.log(`API Calls made today: ${apiCallsCount}/5000`);
-    if (apiCallsCount > 4500) {
-        await logger.log('WARNING: Approaching daily API limit (5000)');
-    }
+/**
+ * Checks whether a cached seller analysis can stand in for a fresh one
+ * @param {Object|undefined} profile - seller_profiles row
+ * @param {string} detectionMode - title, category or combined
+ * @returns {boolean}
+ */
+function isReusableProfile(profile, detectionMode) {
+    if (!profile) return false;
+    // Ratios computed with other title matching rules or another sampler are stale
+    if (profile.matcher_version !== TITLE_MATCHER_VERSION) return false;
+    if (!SAMPLE_METHODS.includes(profile.sample_method)) return false;
+    // Profiles saved before category distributions were kept can't answer a category question
+    return !usesCategories(detectionMode) || !!profile.category_distribution;
 }
 
-async function fetchWithTimeout(url, options, timeout = 5000) {
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeout);
-    
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        clearTimeout(id);
-        return response;
-    } catch (error) {
-        clearTimeout(id);
-        throw error;
+// How long a cached seller analysis stays reusable (SELLER_PROFILE_TTL_DAYS, default 7)
+function getSellerProfileTtlDays() {
+    const days = parseFloat(process.env.SELLER_PROFILE_TTL_DAYS);
+    return isNaN(days) ? 7 : days;
+}
+
+/**
+ * Checks whether a recently seen item has dropped in price enough to show it again
+ * @param {Object} item - Item summary from the search
+ * @param {{price: number|null, currency: string|null}} [previous] - Price when last seen
+ * @param {number|null} [priceDropPercent] - Minimum drop, in percent (unset = never)
+ * @returns {{previousPrice: number, dropPercent: number}|null} The drop, if it is large enough
+ */
+function getPriceDrop(item, previous, priceDropPercent) {
+    const price = parseFloat(item.price?.value);
+    if (!priceDropPercent || !(previous?.price > 0) || isNaN(price)) {
+        return null;
+    }
+    // Prices in different currencies can't be compared
+    if (previous.currency && item.price?.currency && previous.currency !== item.price.currency) {
+        return null;
     }
+
+    const dropPercent = (previous.price - price) / previous.price * 100;
+    return dropPercent > priceDropPercent
+        ? { previousPrice: previous.price, dropPercent: Math.round(dropPercent * 10) / 10 }
+        : null;
 }
 
-// Modern eBay Browse API implementation to replace old Finding API
-async function getSellerTotalListingsBrowseAPI(sellerUsername) {
-    try {
-        const accessToken = await fetchAccessToken();
-        // Get seller's total listings across all categories using filter parameter
-        // Note: eBay requires 'q' parameter, using generic "vintage" term to sample across categories
-        // Filter syntax: sellers:{username} (note: plural "sellers" with curly braces)
-        const url = `https://api.ebay.com/buy/browse/v1/item_summary/search?` +
-            `q=vintage` +
-            `&filter=sellers:{${encodeURIComponent(sellerUsername)}}` +
-            `&limit=1`; // Just get 1 item to check total count
-
-        await logger.log(`Seller listings request for ${sellerUsername}: ${url}`);
-
-        const response = await fetchWithTimeout(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-                'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
-            },
-        });
+/**
+ * Picks which of a qualified seller's listings to keep
+ * @param {Object[]} listings - The seller's listings from the phrase search, in search order
+ * @param {string} [listingMode] - first, all or cheapest (default: first)
+ * @param {number} [listingLimit] - How many the cheapest mode keeps (default: 3)
+ * @returns {Object[]} Listings to add to the results
+ */
+function selectSellerListings(listings, listingMode = DEFAULT_LISTING_MODE, listingLimit = DEFAULT_LISTING_LIMIT) {
+    if (listingMode === 'all') {
+        return listings;
+    }
+    if (listingMode === 'cheapest') {
+        // Listings without a price go last
+        const price = item => parseFloat(item.price?.value);
+        return [...listings]
+            .sort((a, b) => (isNaN(price(a)) ? Infinity : price(a)) - (isNaN(price(b)) ? Infinity : price(b)))
+            .slice(0, listingLimit || DEFAULT_LISTING_LIMIT);
+    }
+    return listings.slice(0, 1);
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            await logger.log(`HTTP error! status: ${response.status}, error: ${errorText}`);
-            return 0;
-        }
+/**
+ * Share of a seller's listings that sit under the specialist categories
+ * @param {Object[]} distributions - Category refinement counts ({ categoryId, matchCount })
+ * @param {string[]} specialistCategoryIds - Category subtrees that count
+ * @param {string} marketplace - eBay marketplace the category IDs belong to
+ * @returns {Promise<number>} Percentage (0 when there are no counts)
+ */
+async function getCategoryRatio(distributions, specialistCategoryIds, marketplace) {
+    const inSpecialistCategory = await createCategorySubtreeMatcher(specialistCategoryIds, marketplace);
+    let total = 0;
+    let matching = 0;
+    for (const { categoryId, matchCount } of distributions) {
+        total += matchCount;
+        if (inSpecialistCategory(categoryId)) matching += matchCount;
+    }
+    return total > 0 ? (matching / total) * 100 : 0;
+}
 
-        const data = await response.json();
-        
-        // Check if we have any results
-        if (!data.itemSummaries || data.itemSummaries.length === 0) {
-            await logger.log(`No listings found for seller ${sellerUsername}`);
-            return 0;
-        }
+// Number of sellers analyzed in parallel (SELLER_ANALYSIS_CONCURRENCY, default 3)
+function getSellerConcurrency() {
+    const concurrency = parseInt(process.env.SELLER_ANALYSIS_CONCURRENCY);
+    return concurrency > 0 ? concurrency : 3;
+}
 
-        // For a more accurate count, we'd need to make additional calls with pagination
-        // For now, we'll estimate based on the first page results
-        // In a production environment, you might want to implement proper pagination counting
-        const estimatedTotal = Math.min(data.total || 0, 1000); // Cap at reasonable number
-        
-        await logger.log(`Estimated total listings for ${sellerUsername}: ${estimatedTotal}`);
-        return estimatedTotal;
-        
-    } catch (error) {
-        await logger.log(`Error getting total listings for ${sellerUsername}: ${error.message}`);
-        return 0;
+async function logApiUsage() {
+    const usage = getUsageSummary();
+    await logger.log(`API Calls made today: ${usage.used}/${usage.limit}`);
+    if (usage.used > usage.limit * 0.9) {
+        await logger.log(`WARNING: Approaching daily API limit (${usage.limit})`);
     }
 }
 
-// Modern eBay Browse API implementation to get seller inventory
-async function getSellerInventoryBrowseAPI(sellerUsername, maxItems) {
-    try {
-        const accessToken = await fetchAccessToken();
-        // Get seller's listings using generic "vintage" search term to sample across categories
-        // Goal: Get a representative sample to determine if they specialize in jewelry
-        // Note: eBay API requires a search term, using "vintage" as it's common across many categories
-        // Filter syntax: sellers:{username} (note: plural "sellers" with curly braces)
-        const url = `https://api.ebay.com/buy/browse/v1/item_summary/search?` +
-            `q=vintage` +
-            `&filter=sellers:{${encodeURIComponent(sellerUsername)}}` +
-            `&limit=${Math.min(maxItems, 200)}`; // eBay Browse API max is 200
-
-        await logger.log(`Fetching inventory for ${sellerUsername}, max items: ${maxItems}`);
-
-        const response = await fetchWithTimeout(url, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json',
-                'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
-            },
-        });
+// Broad words that appear across most categories. The probe query ORs them
+// together, because the Browse API needs a q to search a seller's listings.
+// Category-specific words would bias the sample toward that category.
+const DEFAULT_SAMPLE_PROBE_TERMS = [
+    'new', 'used', 'vintage', 'lot', 'set', 'size', 'black', 'white',
+    'women', 'men', 'kids', 'home', 'pack', 'large', 'small', 'original'
+];
+const MAX_QUERY_LENGTH = 100; // Browse API limit on q
+const MAX_SEARCH_OFFSET = 10000; // Browse API limit on offset + limit
+const SAMPLE_PAGES = 2; // Pages fetched from the main probe, including the first
+// sample_method values the current sampler records; cached profiles drawn any other
+// way (e.g. the old first-page vintage search, which recorded none) are sampled again
+const SAMPLE_METHODS = ['probe', 'probe+paging'];
+
+// Listings sampled per seller (SELLER_SAMPLE_SIZE, default 100)
+function getSellerSampleSize() {
+    const size = parseInt(process.env.SELLER_SAMPLE_SIZE);
+    return size > 0 ? Math.min(size, SAMPLE_PAGES * 200) : 100;
+}
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            await logger.log(`HTTP error! status: ${response.status}, error: ${errorText}`);
-            return [];
+// Probe terms (SELLER_SAMPLE_PROBES, comma-separated), grouped into OR queries that fit in q
+function getProbeQueries() {
+    const configured = process.env.SELLER_SAMPLE_PROBES?.split(',').map(term => term.trim()).filter(Boolean);
+    const terms = configured?.length ? configured : DEFAULT_SAMPLE_PROBE_TERMS;
+
+    const queries = [];
+    let group = [];
+    for (const term of terms) {
+        if (group.length > 0 && `(${[...group, term].join(',')})`.length > MAX_QUERY_LENGTH) {
+            queries.push(`(${group.join(',')})`);
+            group = [];
         }
+        group.push(term);
+    }
+    if (group.length > 0) {
+        queries.push(`(${group.join(',')})`);
+    }
+    return queries;
+}
 
-        const data = await response.json();
-        
-        if (!data.itemSummaries || data.itemSummaries.length === 0) {
-            await logger.log(`No inventory found for seller ${sellerUsername}`);
-            return [];
-        }
+// One page of a seller's listings matching a probe query
+async function searchSellerListings(sellerUsername, query, { offset = 0, limit, refinements = false }, requestOptions) {
+    // Filter syntax: sellers:{username} (note: plural "sellers" with curly braces)
+    const url = `${getBrowseApiUrl()}/item_summary/search?` +
+        `q=${encodeURIComponent(query)}` +
+        `&filter=sellers:{${encodeURIComponent(sellerUsername)}}` +
+        (refinements ? '&fieldgroups=MATCHING_ITEMS,CATEGORY_REFINEMENTS' : '') +
+        `&limit=${limit}` +
+        `&offset=${offset}`;
+
+    await logger.log(`Seller listings request for ${sellerUsername}: ${url}`);
+    return browseGet(url, requestOptions);
+}
 
-        const listings = data.itemSummaries.map(item => ({
-            title: item.title,
-            itemId: item.itemId,
-            price: item.price,
-            condition: item.condition,
-            seller: {
-                username: item.seller?.username || sellerUsername,
-                feedbackScore: item.seller?.feedbackScore || 0
+/**
+ * Fetches a representative sample of a seller's listings
+ * Each probe query's first page is fetched with its category breakdown, then
+ * the main probe is paged: in order when the seller has no
+ * more listings than the sample size, otherwise at offsets spread evenly across
+ * the results so the sample isn't just the top of the relevance ranking.
+ * A breakdown counts every listing the probe matches, not just the page, so
+ * later pages add nothing; across probes each category keeps its largest count.
+ * Errors are thrown (as EbayApiError) so a failed lookup is never mistaken for an empty store
+ * @param {string} sellerUsername - eBay seller username
+ * @param {number} sampleSize - Listings to aim for
+ * @param {Object} requestOptions - { signal, marketplace }, passed on to browseGet
+ * @returns {Promise<Object>} { listings, reachableListings, method, probeQueries,
+ *          pagesFetched, categoryDistributions }
+ */
+async function getSellerInventorySample(sellerUsername, sampleSize, requestOptions = {}) {
+    const probeQueries = getProbeQueries();
+    const pageSize = Math.ceil(sampleSize / SAMPLE_PAGES);
+    const listingsById = new Map();
+    const addListings = data => {
+        for (const item of data.itemSummaries || []) {
+            listingsById.set(item.itemId, item);
+        }
+    };
+
+    // Probes overlap, so the largest total (and the largest count per category)
+    // is the best lower bound on the inventory we can reach
+    let reachableListings = 0;
+    const categoriesById = new Map();
+    let pagesFetched = 0;
+    let mainTotal = 0;
+
+    for (const [index, query] of probeQueries.entries()) {
+        const data = await searchSellerListings(sellerUsername, query,
+            { limit: pageSize, refinements: true }, requestOptions);
+        pagesFetched++;
+        addListings(data);
+        reachableListings = Math.max(reachableListings, data.total || 0);
+        if (index === 0) {
+            mainTotal = data.total || 0;
+        }
+        for (const { categoryId, categoryName, matchCount } of data.refinement?.categoryDistributions || []) {
+            if (matchCount > (categoriesById.get(categoryId)?.matchCount ?? -1)) {
+                categoriesById.set(categoryId, { categoryId, categoryName, matchCount });
             }
-        }));
-
-        await logger.log(`Retrieved ${listings.length} listings for seller ${sellerUsername}`);
-        return listings;
-        
-    } catch (error) {
-        await logger.log(`Error getting inventory for ${sellerUsername}: ${error.message}`);
-        return [];
+        }
     }
-}
+    const categoryDistributions = [...categoriesById.values()].sort((a, b) => b.matchCount - a.matchCount);
+
+    // Page further into the main probe
+    let method = 'probe';
+    for (let page = 1; page < SAMPLE_PAGES && listingsById.size < Math.min(sampleSize, reachableListings); page++) {
+        const offset = mainTotal <= sampleSize
+            ? page * pageSize
+            : Math.floor(page * mainTotal / SAMPLE_PAGES);
+        if (offset >= mainTotal || offset + pageSize > MAX_SEARCH_OFFSET) break;
+
+        const data = await searchSellerListings(sellerUsername, probeQueries[0],
+            { offset, limit: pageSize }, requestOptions);
+        pagesFetched++;
+        addListings(data);
+        method = 'probe+paging';
+    }
+
+    const listings = [...listingsById.values()].slice(0, sampleSize).map(item => ({
+        title: item.title,
+        itemId: item.itemId,
+        price: item.price,
+        condition: item.condition,
+        seller: {
+            username: item.seller?.username || sellerUsername,
+            feedbackScore: item.seller?.feedbackScore || 0
+        }
+    }));
 
-// Legacy function - keeping for backward compatibility but marking as deprecated
-async function getSellerTotalListings(sellerUsername) {
-    await logger.log(`WARNING: Using deprecated Finding API for ${sellerUsername}. Please use getSellerTotalListingsBrowseAPI instead.`);
-    return await getSellerTotalListingsBrowseAPI(sellerUsername);
-}
\ No newline at end of file
+    await logger.log(`Retrieved ${listings.length} of ${reachableListings} reachable listings for seller ${sellerUsername} ` +
+        `(${method}, ${pagesFetched} requests, ${categoryDistributions.length} categories)`);
+    return { listings, reachableListings, method, probeQueries: probeQueries.length, pagesFetched, categoryDistributions };
+}
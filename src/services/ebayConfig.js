@@ -0,0 +1,52 @@
+// ebayConfig.js
+// Where eBay requests go. Read at call time, so .env has been loaded.
+// - EBAY_ENVIRONMENT: "production" (default) or "sandbox"
+// - EBAY_API_BASE_URL: explicit base URL, overriding the environment
+//   (e.g. http://localhost:4010 for the mock server in tests/mock-ebay)
+
+const ENVIRONMENT_BASE_URLS = {
+    production: 'https://api.ebay.com',
+    sandbox: 'https://api.sandbox.ebay.com'
+};
+
+// OAuth scope for application tokens (the same URL in production and sandbox)
+export const EBAY_API_SCOPE = 'https://api.ebay.com/oauth/api_scope';
+
+/**
+ * Returns the configured eBay environment
+ * @returns {string} "production" or "sandbox"
+ * @throws {Error} If EBAY_ENVIRONMENT is set to anything else
+ */
+export function getEbayEnvironment() {
+    const environment = (process.env.EBAY_ENVIRONMENT || 'production').trim().toLowerCase();
+    if (!ENVIRONMENT_BASE_URLS[environment]) {
+        throw new Error(`Unknown EBAY_ENVIRONMENT "${process.env.EBAY_ENVIRONMENT}" (use production or sandbox)`);
+    }
+    return environment;
+}
+
+/**
+ * Returns the base URL for all eBay API requests, without a trailing slash
+ */
+export function getEbayApiBaseUrl() {
+    const override = process.env.EBAY_API_BASE_URL?.trim();
+    if (override) {
+        return override.replace(/\/+$/, '');
+    }
+    return ENVIRONMENT_BASE_URLS[getEbayEnvironment()];
+}
+
+// Base URL of the Browse API, e.g. https://api.ebay.com/buy/browse/v1
+export function getBrowseApiUrl() {
+    return `${getEbayApiBaseUrl()}/buy/browse/v1`;
+}
+
+// Base URL of the Taxonomy API
+export function getTaxonomyApiUrl() {
+    return `${getEbayApiBaseUrl()}/commerce/taxonomy/v1`;
+}
+
+// OAuth token endpoint
+export function getTokenUrl() {
+    return `${getEbayApiBaseUrl()}/identity/v1/oauth2/token`;
+}
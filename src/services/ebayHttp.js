@@ -0,0 +1,259 @@
+// ebayHttp.js
+// Shared HTTP layer for every Browse API call: global rate limit, request
+// timeout, API budget ledger, token refresh on 401 and retries with
+// exponential backoff. Failures are thrown as EbayApiError, marked retryable
+// (429, 5xx, timeouts, network errors) or fatal (other 4xx), so callers can
+// tell a transient eBay problem apart from a real answer.
+import fetch from 'node-fetch';
+import logger from '../utils/logger.js';
+import fetchAccessToken, { invalidateAccessToken } from './auth.js';
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { recordApiCall, assertApiBudget } from './apiBudget.js';
+import { DEFAULT_MARKETPLACE } from '../constants/marketplaces.js';
+
+// Statuses worth retrying; every other non-2xx status is fatal
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Ledger name of the token endpoint, for token failures
+const TOKEN_ENDPOINT = 'oauth2/token';
+
+// Never wait longer than this between attempts, whatever Retry-After says
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+/**
+ * A failed eBay request
+ * @property {number|null} status - HTTP status, or null for timeouts and network errors
+ * @property {boolean} retryable - True for transient failures (worth trying again later)
+ * @property {string} endpoint - Ledger name of the endpoint that failed
+ * @property {number} attempts - Attempts made before giving up
+ */
+export class EbayApiError extends Error {
+    constructor(message, { status = null, retryable = false, endpoint = null, attempts = 1 } = {}) {
+        super(message);
+        this.name = 'EbayApiError';
+        this.status = status;
+        this.retryable = retryable;
+        this.endpoint = endpoint;
+        this.attempts = attempts;
+    }
+}
+
+// Request timeout in ms (EBAY_REQUEST_TIMEOUT_MS, default 5000)
+function getRequestTimeout() {
+    const timeout = parseInt(process.env.EBAY_REQUEST_TIMEOUT_MS);
+    return timeout > 0 ? timeout : 5000;
+}
+
+// Attempts per request, including the first (EBAY_MAX_ATTEMPTS, default 3)
+function getMaxAttempts() {
+    const attempts = parseInt(process.env.EBAY_MAX_ATTEMPTS);
+    return attempts > 0 ? attempts : 3;
+}
+
+// First backoff delay in ms, doubled on each retry (EBAY_RETRY_BASE_DELAY_MS, default 1000)
+function getRetryBaseDelay() {
+    const baseDelay = parseInt(process.env.EBAY_RETRY_BASE_DELAY_MS);
+    return baseDelay >= 0 ? baseDelay : 1000;
+}
+
+// Global limit on eBay requests per second (EBAY_REQUESTS_PER_SECOND, default 5),
+// shared by all parallel seller workers. Created lazily so .env has been loaded.
+let ebayRateLimiter = null;
+function getEbayRateLimiter() {
+    if (!ebayRateLimiter) {
+        ebayRateLimiter = new RateLimiter(parseFloat(process.env.EBAY_REQUESTS_PER_SECOND) || 5);
+    }
+    return ebayRateLimiter;
+}
+
+// Ledger name for a Browse API URL, e.g. "item_summary/search" or "item"
+function getBrowseEndpointName(url) {
+    // The base URL may carry its own path prefix (e.g. a proxy or the mock server)
+    const path = new URL(url).pathname.replace(/^.*\/buy\/browse\/v1\//, '');
+    // Drop item IDs so every getItem call counts under one endpoint
+    return path.startsWith('item/') ? 'item' : path;
+}
+
+/**
+ * Gets the access token for a request
+ * A failed token request is thrown as an EbayApiError like any other eBay
+ * failure: retryable for network errors and retryable statuses, fatal for
+ * other statuses and missing credentials
+ */
+async function getAccessToken(attempts) {
+    try {
+        return await fetchAccessToken();
+    } catch (error) {
+        const retryable = error.status ? RETRYABLE_STATUSES.has(error.status) : error.name === 'FetchError';
+        throw new EbayApiError(`eBay ${TOKEN_ENDPOINT} request failed: ${error.message}`, {
+            status: error.status ?? null,
+            retryable,
+            endpoint: TOKEN_ENDPOINT,
+            attempts
+        });
+    }
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date)
+ * @returns {number|null} Delay in ms, or null if absent or unreadable
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Backoff before retry number `attempt` (1-based): the base delay doubled per
+ * attempt, with jitter so parallel workers don't retry in lockstep
+ */
+function getBackoffDelay(attempt) {
+    const exponential = getRetryBaseDelay() * 2 ** (attempt - 1);
+    return Math.min(exponential / 2 + Math.random() * exponential / 2, MAX_RETRY_DELAY_MS);
+}
+
+// Waits for ms, or rejects as soon as the signal aborts
+function waitForRetry(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function fetchWithTimeout(url, options, timeout) {
+    const { signal: callerSignal, ...fetchOptions } = options;
+
+    // Wait for a slot under the global rate limit (the timeout starts after)
+    await getEbayRateLimiter().acquire();
+
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+
+    // Abort in-flight requests when the caller's signal fires (e.g. scan cancelled)
+    const abortFromCaller = () => controller.abort();
+    if (callerSignal?.aborted) {
+        controller.abort();
+    } else {
+        callerSignal?.addEventListener('abort', abortFromCaller, { once: true });
+    }
+
+    try {
+        const response = await fetch(url, {
+            ...fetchOptions,
+            signal: controller.signal
+        });
+        return response;
+    } finally {
+        clearTimeout(id);
+        callerSignal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+/**
+ * GETs a Browse API URL and returns the parsed JSON body
+ * - Retryable failures are retried up to EBAY_MAX_ATTEMPTS times with
+ *   exponential backoff, waiting at least as long as Retry-After asks
+ * - If eBay rejects the token with 401, the cached token is dropped and the
+ *   request is repeated once with a fresh one
+ * - A token that can't be fetched fails the request straight away (as an
+ *   EbayApiError for the oauth2/token endpoint)
+ * - Every attempt is counted in the daily API ledger; none is sent once the
+ *   budget is used up (throws an error with code API_BUDGET_EXHAUSTED)
+ * @param {string} url - Browse API URL
+ * @param {Object} [options]
+ * @param {string} [options.accessToken] - Token to try first (default: the cached token, which is
+ *                                         refreshed before it expires - prefer it for anything long-running)
+ * @param {AbortSignal} [options.signal] - Aborts the request and any pending retry
+ * @param {string} [options.marketplace] - eBay marketplace ID (default: EBAY_US)
+ * @returns {Promise<Object>} The response body
+ * @throws {EbayApiError} Once retries are used up, or straight away for fatal errors
+ */
+export async function browseGet(url, { accessToken, signal, marketplace = DEFAULT_MARKETPLACE } = {}) {
+    const endpoint = getBrowseEndpointName(url);
+    const maxAttempts = getMaxAttempts();
+    const timeout = getRequestTimeout();
+
+    // Checked before a token is fetched too, since a token request is itself a call
+    assertApiBudget();
+    let token = accessToken || await getAccessToken(1);
+    let tokenRefreshed = false;
+
+    for (let attempt = 1; ; attempt++) {
+        assertApiBudget();
+        recordApiCall(endpoint);
+
+        let failure;
+        let retryAfterMs = null;
+        try {
+            const response = await fetchWithTimeout(url, {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json',
+                    'X-EBAY-C-MARKETPLACE-ID': marketplace
+                },
+                signal
+            }, timeout);
+
+            if (response.ok) {
+                return await response.json();
+            }
+
+            if (response.status === 401 && !tokenRefreshed) {
+                await logger.log('eBay rejected the access token (401) - refreshing and retrying once');
+                invalidateAccessToken(token);
+                token = await getAccessToken(attempt);
+                tokenRefreshed = true;
+                attempt--; // A token refresh doesn't use up a retry
+                continue;
+            }
+
+            const errorText = await response.text();
+            failure = new EbayApiError(`eBay ${endpoint} returned ${response.status}: ${errorText}`, {
+                status: response.status,
+                retryable: RETRYABLE_STATUSES.has(response.status),
+                endpoint,
+                attempts: attempt
+            });
+            retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        } catch (error) {
+            // Cancellation is not a failure - let it through untouched
+            if (signal?.aborted) throw error;
+            // A failed token refresh is already classified
+            if (error instanceof EbayApiError) throw error;
+
+            failure = new EbayApiError(
+                error.name === 'AbortError'
+                    ? `eBay ${endpoint} timed out after ${timeout}ms`
+                    : `eBay ${endpoint} request failed: ${error.message}`,
+                { retryable: true, endpoint, attempts: attempt }
+            );
+        }
+
+        if (!failure.retryable || attempt >= maxAttempts) {
+            throw failure;
+        }
+
+        const waitMs = Math.min(Math.max(getBackoffDelay(attempt), retryAfterMs ?? 0), MAX_RETRY_DELAY_MS);
+        await logger.log(`${failure.message} - retrying in ${Math.round(waitMs)}ms (attempt ${attempt + 1}/${maxAttempts})`);
+        await waitForRetry(waitMs, signal);
+    }
+}
@@ -0,0 +1,186 @@
+// recheck.js
+// Background job that looks tracked listings up through the Browse API getItem
+// endpoint and records whether they are still live, ended or sold, with the
+// end time and final price when eBay reports them.
+// Every 15 minutes it checks up to LISTING_RECHECK_BATCH_SIZE (default 25) live
+// items that no search has seen and no recheck has looked at for
+// LISTING_RECHECK_HOURS (default 24, 0 disables the job). Each item is looked up
+// on the marketplace it was found on. Rounds are skipped while a scan runs, end
+// as soon as one starts and stop when the daily API budget is used up, so
+// rechecks never hold up scans.
+import logger from '../utils/logger.js';
+import dbManager from '../db/DatabaseListingsManager.js';
+import { browseGet, EbayApiError } from './ebayHttp.js';
+import { getBrowseApiUrl } from './ebayConfig.js';
+import { API_BUDGET_EXHAUSTED } from './apiBudget.js';
+import { scanInProgress } from './scanner.js';
+import { DEFAULT_MARKETPLACE } from '../constants/marketplaces.js';
+
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+let checkTimer = null;
+let recheckRunning = false;
+
+// Hours before a listing is looked up again (LISTING_RECHECK_HOURS, default 24; 0 = off)
+function getRecheckHours() {
+    const hours = parseFloat(process.env.LISTING_RECHECK_HOURS);
+    return hours >= 0 ? hours : 24;
+}
+
+// Listings looked up per round (LISTING_RECHECK_BATCH_SIZE, default 25)
+function getBatchSize() {
+    const size = parseInt(process.env.LISTING_RECHECK_BATCH_SIZE);
+    return size > 0 ? size : 25;
+}
+
+/**
+ * Starts the recheck job and runs the first round straight away
+ */
+export function startRecheckJob() {
+    if (checkTimer || getRecheckHours() === 0) return;
+
+    checkTimer = setInterval(runRecheckRound, CHECK_INTERVAL_MS);
+    runRecheckRound();
+    console.log('Listing recheck job started');
+}
+
+/**
+ * Stops the recheck job; a round that is already running is left to finish
+ */
+export function stopRecheckJob() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+        console.log('Listing recheck job stopped');
+    }
+}
+
+// One timed round, skipped while a scan (or the previous round) is running
+async function runRecheckRound() {
+    if (scanInProgress || recheckRunning) return;
+
+    try {
+        await recheckListings();
+    } catch (error) {
+        console.error('Listing recheck failed:', error);
+    }
+}
+
+/**
+ * Works out a listing's status from its getItem response
+ * A listing is over once its end date has passed or nothing is left in stock;
+ * it sold if anything was sold or an auction drew bids
+ * @param {Object|null} item - getItem response, or null when eBay no longer has the item
+ * @param {Date} [now] - Current time
+ * @returns {{status: string, endedAt: string|null, finalPrice: number|null}}
+ */
+export function getListingStatus(item, now = new Date()) {
+    if (!item) {
+        return { status: 'ended', endedAt: null, finalPrice: null };
+    }
+
+    const availabilities = item.estimatedAvailabilities || [];
+    const endDate = item.itemEndDate ? new Date(item.itemEndDate) : null;
+    const pastEndDate = endDate !== null && !isNaN(endDate) && endDate <= now;
+    const outOfStock = availabilities.length > 0 &&
+        availabilities.every(availability => availability.estimatedAvailabilityStatus === 'OUT_OF_STOCK');
+
+    if (!pastEndDate && !outOfStock) {
+        return { status: 'live', endedAt: null, finalPrice: null };
+    }
+
+    const soldQuantity = availabilities.reduce((sum, availability) => sum + (availability.estimatedSoldQuantity || 0), 0);
+    const finalPrice = parseFloat(item.currentBidPrice?.value ?? item.price?.value);
+    return {
+        status: soldQuantity > 0 || item.bidCount > 0 ? 'sold' : 'ended',
+        endedAt: pastEndDate ? endDate.toISOString() : null,
+        finalPrice: isNaN(finalPrice) ? null : finalPrice
+    };
+}
+
+/**
+ * Looks up one listing on the marketplace it was found on
+ * Items from other marketplaces can be missing on EBAY_US, which would read as ended
+ * @returns {Promise<Object|null>} The getItem response, or null when eBay answers 404
+ *          (it no longer serves the listing)
+ */
+async function fetchItem(itemId, { marketplace, signal } = {}) {
+    try {
+        return await browseGet(`${getBrowseApiUrl()}/item/${encodeURIComponent(itemId)}`, {
+            signal,
+            marketplace: marketplace || DEFAULT_MARKETPLACE
+        });
+    } catch (error) {
+        if (error instanceof EbayApiError && error.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Rechecks live listings that are due and records their status
+ * A lookup that fails for good (other 4xx) still counts as a check, so the item
+ * waits its turn again; transient failures are left to the next round
+ * @param {Object} [options]
+ * @param {number} [options.hours] - Recheck items not seen or checked for this long (default: LISTING_RECHECK_HOURS)
+ * @param {number} [options.limit] - Most items to look up (default: LISTING_RECHECK_BATCH_SIZE)
+ * @param {AbortSignal} [options.signal] - Stops the round
+ * @returns {Promise<Object>} Counts: { checked, live, ended, sold, failed, budgetExhausted,
+ *          stoppedForScan }
+ */
+export async function recheckListings({ hours = getRecheckHours(), limit = getBatchSize(), signal } = {}) {
+    const stats = { checked: 0, live: 0, ended: 0, sold: 0, failed: 0, budgetExhausted: false, stoppedForScan: false };
+    if (recheckRunning) return stats;
+    recheckRunning = true;
+
+    try {
+        const due = dbManager.getListingsDueForRecheck(hours, limit);
+        if (due.length > 0) {
+            await logger.log(`Recheck: looking up ${due.length} listings`);
+        }
+
+        for (const { item_id: itemId, title, marketplace } of due) {
+            if (signal?.aborted) break;
+            // A scan that started mid-round gets the rate limit and budget to itself
+            if (scanInProgress) {
+                stats.stoppedForScan = true;
+                await logger.log('Recheck: stopped - a scan started');
+                break;
+            }
+
+            try {
+                const check = getListingStatus(await fetchItem(itemId, { marketplace, signal }));
+                dbManager.recordListingCheck(itemId, check);
+                stats.checked++;
+                stats[check.status]++;
+                if (check.status !== 'live') {
+                    await logger.log(`Recheck: "${title}" ${check.status}` +
+                        (check.endedAt ? ` at ${check.endedAt}` : '') +
+                        (check.finalPrice !== null ? ` (final price ${check.finalPrice})` : ''));
+                }
+            } catch (error) {
+                if (signal?.aborted) break;
+                if (error.code === API_BUDGET_EXHAUSTED) {
+                    stats.budgetExhausted = true;
+                    await logger.log(`Recheck: stopped - ${error.message}`);
+                    break;
+                }
+
+                stats.failed++;
+                if (error instanceof EbayApiError && !error.retryable) {
+                    dbManager.recordListingCheck(itemId, null);
+                }
+                await logger.log(`Recheck: failed to look up ${itemId}: ${error.message}`);
+            }
+        }
+
+        if (due.length > 0) {
+            await logger.log(`Recheck: ${stats.checked} checked - ${stats.live} live, ${stats.ended} ended, ` +
+                `${stats.sold} sold, ${stats.failed} failed`);
+        }
+        return stats;
+    } finally {
+        recheckRunning = false;
+    }
+}
@@ -1,15 +1,31 @@
 import { fetchAllListings,fetchListingsForPhrase} from './ebay.js';
-import fetchAccessToken from './auth.js';
 import logger from '../utils/logger.js';
 import dbManager from '../db/DatabaseListingsManager.js';
 import { autoExportScanResults } from '../../csv-handlers.js';
 import fs from 'fs/promises';
 import { progressState, resetProgress, updatePhraseProgress } from './progress.js';
+import { isApiBudgetExhausted, getUsageSummary } from './apiBudget.js';
+import { getMarketplace, DEFAULT_MARKETPLACE } from '../constants/marketplaces.js';
+import { isValidCategoryId } from './categories.js';
+import { parseListingFilters, parseExcludedTerms } from './searchFilters.js';
+import { parseScoreWeights } from './sellerScore.js';
+import {
+    DETECTION_MODES,
+    DEFAULT_DETECTION_MODE,
+    DEFAULT_SPECIALIST_THRESHOLD,
+    usesCategories
+} from '../constants/detectionModes.js';
+import { LISTING_MODES, DEFAULT_LISTING_MODE } from '../constants/listingModes.js';
+import { SORT_ORDERS, MAX_SEARCH_ITEMS } from '../constants/searchPaging.js';
 
 // Scan state
 export let scanInProgress = false;
+let scanAbortController = null;
 export let scanResults = {
     status: 'idle',
+    scanId: null,
+    searchId: null,
+    marketplace: DEFAULT_MARKETPLACE,
     listings: [],
     lastUpdated: null,
     error: null,
@@ -21,21 +37,109 @@ export let scanResults = {
 
 
 
-export async function startScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions) {
+// Per-search settings a scan accepts in its options, stored with the scan
+// run's parameters and on ad-hoc search records
+function getSearchSettings(options) {
+    return {
+        marketplace: options.marketplace || DEFAULT_MARKETPLACE,
+        categoryIds: options.categoryIds?.length ? options.categoryIds : null,
+        minPrice: options.minPrice ?? null,
+        maxPrice: options.maxPrice ?? null,
+        buyingOptions: options.buyingOptions?.length ? options.buyingOptions : null,
+        listedWithinHours: options.listedWithinHours ?? null,
+        detectionMode: options.detectionMode || DEFAULT_DETECTION_MODE,
+        specialistCategoryIds: options.specialistCategoryIds?.length ? options.specialistCategoryIds : null,
+        specialistThreshold: options.specialistThreshold ?? DEFAULT_SPECIALIST_THRESHOLD,
+        minRatio: options.minRatio ?? null,
+        minSampleSize: options.minSampleSize ?? null,
+        listingMode: options.listingMode || DEFAULT_LISTING_MODE,
+        listingLimit: options.listingLimit ?? null,
+        scoreWeights: options.scoreWeights ?? null,
+        excludedTerms: options.excludedTerms ?? null,
+        maxItems: options.maxItems ?? null,
+        sortOrder: options.sortOrder ?? null,
+        priceDropPercent: options.priceDropPercent ?? null
+    };
+}
+
+// Convert an eBay item summary found on a marketplace into the shape saveSearchResult expects
+function toSearchResultRecord(item, marketplace) {
+    const price = parseFloat(item.price?.value);
+    return {
+        itemId: item.itemId,
+        title: item.title,
+        price: isNaN(price) ? null : price,
+        currency: item.price?.currency || marketplace.currency,
+        marketplace: marketplace.id,
+        url: item.itemWebUrl || null,
+        sellerId: item.seller?.username || null,
+        sellerScore: item.sellerScore ?? null,
+        previousPrice: item.priceDrop?.previousPrice ?? null
+    };
+}
+
+/**
+ * Runs a scan over all search phrases and stores the qualified listings
+ * @param {string[]} searchPhrases - Keywords to search eBay for
+ * @param {string[]} typicalPhrases - Phrases identifying specialist sellers
+ * @param {number} feedbackThreshold - Sellers at or above this score are skipped
+ * @param {string[]} conditions - Accepted condition IDs
+ * @param {Object} [options]
+ * @param {number} [options.searchId] - Saved search the results belong to;
+ *                                      an ad-hoc search record is created when omitted
+ * @param {string} [options.trigger] - What started the scan (manual or scheduled)
+ * @param {number} [options.scanId] - Pre-created scan run to record into (see launchScan)
+ * @param {string} [options.marketplace] - eBay marketplace ID (default: EBAY_US)
+ * @param {string[]} [options.categoryIds] - Restrict the search to these eBay categories
+ * @param {number} [options.minPrice] - Lowest listing price to fetch
+ * @param {number} [options.maxPrice] - Highest listing price to fetch
+ * @param {string[]} [options.buyingOptions] - Only fetch these buying formats (see BUYING_OPTIONS)
+ * @param {number} [options.listedWithinHours] - Only fetch listings started in the last N hours
+ * @param {string} [options.detectionMode] - Specialist detection: title, category or combined (default: title)
+ * @param {string[]} [options.specialistCategoryIds] - Category subtrees that count as the target category
+ * @param {number} [options.specialistThreshold] - Sellers above this ratio are specialists (default: 20)
+ * @param {number} [options.minRatio] - Sellers at or below this ratio are unrelated (default: none)
+ * @param {number} [options.minSampleSize] - Sellers with fewer sampled listings are "insufficient data"
+ * @param {string} [options.listingMode] - Listings kept per qualified seller: first, all or cheapest
+ * @param {number} [options.listingLimit] - How many listings the cheapest mode keeps (default: 3)
+ * @param {Object} [options.scoreWeights] - Seller score factor weights (default: DEFAULT_SCORE_WEIGHTS)
+ * @param {string[]} [options.excludedTerms] - Negative keywords; titles containing any of them are skipped
+ * @param {number} [options.maxItems] - Most items to fetch per phrase (default: 600)
+ * @param {string} [options.sortOrder] - Result order requested from eBay, a SORT_ORDERS key (default: best match)
+ * @param {number} [options.priceDropPercent] - Show recently seen items again when their price fell by more than this %
+ */
+export async function startScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions, options = {}) {
     if (scanInProgress) {
         throw new Error('A scan is already in progress');
     }
+
+    let scanId = null;
+    const allListings = [];
+    const settings = getSearchSettings(options);
     try {
         // Reset and start scan
         scanInProgress = true;
+        scanAbortController = new AbortController();
+        const { signal } = scanAbortController;
+
+        // Every invocation gets a scan run record, even if its parameters are invalid
+        scanId = options.scanId || dbManager.createScanRun(
+            { searchPhrases, typicalPhrases, feedbackThreshold, conditions, ...settings },
+            options.searchId || null,
+            options.trigger || 'manual'
+        );
+        scanResults.scanId = scanId;
+
         scanResults.status = 'scanning';
         scanResults.error = null;
         scanResults.logMessages = [];
-        scanResults.listings = [];
+        scanResults.listings = allListings; // Filled as phrases complete, so progress can report it
+        scanResults.searchId = null;
+        scanResults.marketplace = settings.marketplace;
 
         // Reset progress using the shared module
         resetProgress();
-        progressState.totalPhrases = searchPhrases.length;
+        progressState.totalPhrases = Array.isArray(searchPhrases) ? searchPhrases.length : 0;
 
         // Clear old log messages from logger
         logger.clearMessages();
@@ -46,22 +150,101 @@ export async function startScan(searchPhrases, typicalPhrases, feedbackThreshold
             searchPhrases,
             typicalPhrases,
             feedbackThreshold,
-            conditions
+            conditions,
+            ...settings,
+            searchId: options.searchId || null
         }));
 
+        // Invalid parameters end the run with an error status
+        const rejectScan = async (message) => {
+            await logger.log(`Error: ${message}`);
+            scanResults.error = message;
+            scanResults.status = 'error';
+            dbManager.finishScanRun(scanId, 'error', message, 0);
+        };
+
         // Add validation at the start of the function
         if (!searchPhrases || !Array.isArray(searchPhrases)) {
-            await logger.log('Error: Invalid or missing search phrases');
+            await rejectScan('Invalid or missing search phrases');
             return; // Return instead of throwing error for automated rescans
         }
         if (!typicalPhrases || !Array.isArray(typicalPhrases)) {
-            await logger.log('Error: Invalid or missing typical phrases');
+            await rejectScan('Invalid or missing typical phrases');
             return; // Return instead of throwing error for automated rescans
         }
         if (!feedbackThreshold) {
-            await logger.log('Error: Missing feedback threshold');
+            await rejectScan('Missing feedback threshold');
             return; // Return instead of throwing error for automated rescans
         }
+        const marketplace = getMarketplace(settings.marketplace);
+        if (!marketplace) {
+            await rejectScan(`Unsupported marketplace: ${settings.marketplace}`);
+            return;
+        }
+        if (settings.categoryIds && !settings.categoryIds.every(isValidCategoryId)) {
+            await rejectScan(`Invalid category IDs: ${settings.categoryIds.join(', ')}`);
+            return;
+        }
+        if (!DETECTION_MODES[settings.detectionMode]) {
+            await rejectScan(`Unknown detection mode: ${settings.detectionMode}`);
+            return;
+        }
+        if (usesCategories(settings.detectionMode) && !settings.specialistCategoryIds) {
+            await rejectScan(`Detection mode ${settings.detectionMode} needs specialist category IDs`);
+            return;
+        }
+        if (settings.specialistCategoryIds && !settings.specialistCategoryIds.every(isValidCategoryId)) {
+            await rejectScan(`Invalid specialist category IDs: ${settings.specialistCategoryIds.join(', ')}`);
+            return;
+        }
+        if (!(settings.specialistThreshold >= 0 && settings.specialistThreshold <= 100)) {
+            await rejectScan('specialistThreshold must be between 0 and 100');
+            return;
+        }
+        if (settings.minRatio !== null && !(settings.minRatio >= 0 && settings.minRatio < settings.specialistThreshold)) {
+            await rejectScan('minRatio must be at least 0 and below the specialist threshold');
+            return;
+        }
+        if (settings.minSampleSize !== null && !(Number.isInteger(settings.minSampleSize) && settings.minSampleSize >= 0)) {
+            await rejectScan('minSampleSize must be a whole number');
+            return;
+        }
+        if (!LISTING_MODES[settings.listingMode]) {
+            await rejectScan(`Unknown listing mode: ${settings.listingMode}`);
+            return;
+        }
+        if (settings.listingLimit !== null && !(Number.isInteger(settings.listingLimit) && settings.listingLimit > 0)) {
+            await rejectScan('listingLimit must be a positive whole number');
+            return;
+        }
+        const { weights: scoreWeights, error: weightsError } = parseScoreWeights(settings.scoreWeights);
+        if (weightsError) {
+            await rejectScan(weightsError);
+            return;
+        }
+        if (settings.maxItems !== null
+            && !(Number.isInteger(settings.maxItems) && settings.maxItems > 0 && settings.maxItems <= MAX_SEARCH_ITEMS)) {
+            await rejectScan(`maxItems must be a whole number from 1 to ${MAX_SEARCH_ITEMS}`);
+            return;
+        }
+        if (settings.sortOrder !== null && !SORT_ORDERS[settings.sortOrder]) {
+            await rejectScan(`Unknown sort order: ${settings.sortOrder}`);
+            return;
+        }
+        if (settings.priceDropPercent !== null && !(settings.priceDropPercent > 0 && settings.priceDropPercent < 100)) {
+            await rejectScan('priceDropPercent must be a number between 0 and 100');
+            return;
+        }
+        const { terms: excludedTerms, error: termsError } = parseExcludedTerms(settings.excludedTerms);
+        if (termsError) {
+            await rejectScan(termsError);
+            return;
+        }
+        const { filters: listingFilters, error: filterError } = parseListingFilters(settings);
+        if (filterError) {
+            await rejectScan(filterError);
+            return;
+        }
 
 
         const scanStartTime = new Date().toISOString().split('T')[0];
@@ -77,43 +260,96 @@ export async function startScan(searchPhrases, typicalPhrases, feedbackThreshold
         // Clean up old items (not seen in 90 days)
         dbManager.cleanupOldItems();
 
-        // Get eBay access token
-        await logger.log('Getting eBay access token...');
-        const accessToken = await fetchAccessToken();
-        await logger.log('Access token obtained');
+        // Results are always mapped to a search: the saved one, or an ad-hoc record
+        const searchId = options.searchId
+            || dbManager.createAdhocSearch(searchPhrases, typicalPhrases, feedbackThreshold, conditions, settings);
+        await logger.log(options.searchId
+            ? `Saving results to saved search ${searchId}`
+            : `Saving results to ad-hoc search ${searchId}`);
+        scanResults.searchId = searchId;
+        dbManager.setScanRunSearch(scanId, searchId);
+
+        // Set when the daily API budget runs out; the scan stops with what it has
+        let budgetStopReason = null;
+        const stopForBudget = async (remainingPhrases) => {
+            const usage = getUsageSummary();
+            budgetStopReason = `Daily eBay API budget exhausted (${usage.used}/${usage.limit} calls)`;
+            await logger.log(`${budgetStopReason} - skipping remaining ${remainingPhrases} phrase(s)`);
+        };
 
         // Fetch listings for each search phrase
-        const allListings = [];
         for (let i = 0; i < searchPhrases.length; i++) {
             const phrase = searchPhrases[i];
 
+            if (signal.aborted) {
+                await logger.log(`Scan cancelled - skipping remaining ${searchPhrases.length - i} phrase(s)`);
+                break;
+            }
+            if (isApiBudgetExhausted()) {
+                await stopForBudget(searchPhrases.length - i);
+                break;
+            }
+
             // Update progress using the shared module
             updatePhraseProgress(phrase, i + 1, searchPhrases.length);
 
             await logger.log(`\nProcessing search phrase: "${phrase}"`);
             try {
-                const listings = await fetchListingsForPhrase(
-                    accessToken,
+                const { listings, stats } = await fetchListingsForPhrase(
                     phrase,
                     typicalPhrases,
                     feedbackThreshold,
-                    conditions
+                    conditions,
+                    {
+                        signal,
+                        marketplace: marketplace.id,
+                        categoryIds: settings.categoryIds,
+                        listingFilters,
+                        detectionMode: settings.detectionMode,
+                        specialistCategoryIds: settings.specialistCategoryIds,
+                        specialistThreshold: settings.specialistThreshold,
+                        minRatio: settings.minRatio,
+                        minSampleSize: settings.minSampleSize,
+                        listingMode: settings.listingMode,
+                        listingLimit: settings.listingLimit,
+                        scoreWeights,
+                        searchId,
+                        excludedTerms,
+                        maxItems: settings.maxItems,
+                        sortOrder: settings.sortOrder,
+                        priceDropPercent: settings.priceDropPercent
+                    }
                 );
                 await logger.log(`Found ${listings.length} listings for "${phrase}"`);
                 allListings.push(...listings);
+                dbManager.addScanRunPhraseStats(scanId, stats);
+
+                // Persist after each phrase so earlier phrases survive a later failure
+                if (listings.length > 0) {
+                    dbManager.saveSearchResults(searchId, listings.map(item => toSearchResultRecord(item, marketplace)));
+                }
+
+                if (stats.budgetExhausted) {
+                    await stopForBudget(searchPhrases.length - i - 1);
+                    break;
+                }
             } catch (error) {
                 await logger.log(`Error processing phrase "${phrase}": ${error.message}`);
+                dbManager.addScanRunPhraseStats(scanId, { phrase, error: error.message });
             }
         }
-            // Update results
-        await logger.log(`\nScan completed. Total listings found: ${allListings.length}`);
+        // Update results (a cancelled or stopped scan keeps what was qualified before it ended)
+        const finalStatus = signal.aborted ? 'cancelled' : (budgetStopReason ? 'stopped' : 'completed');
+        await logger.log(`\nScan ${finalStatus}. Total listings found: ${allListings.length}`);
         scanResults.listings = allListings;
         scanResults.lastUpdated = new Date();
-        scanResults.status = 'completed';
+        scanResults.status = finalStatus;
+        scanResults.error = finalStatus === 'stopped' ? budgetStopReason : null;
+        dbManager.finishScanRun(scanId, finalStatus, finalStatus === 'stopped' ? budgetStopReason : null, allListings.length);
 
         // Auto-export results to CSV
         if (allListings.length > 0) {
-            const exportPath = await autoExportScanResults(allListings, 'scan');
+            const exportPath = await autoExportScanResults(allListings, 'scan', marketplace.currency);
             if (exportPath) {
                 await logger.log(`Results exported to: ${exportPath}`);
             }
@@ -123,10 +359,119 @@ export async function startScan(searchPhrases, typicalPhrases, feedbackThreshold
         await logger.log('Scan error:', error.message);
         scanResults.error = error.message;
         scanResults.status = 'error';
+        if (scanId) {
+            dbManager.finishScanRun(scanId, 'error', error.message, allListings.length);
+        }
         throw error;
     } finally {
         scanInProgress = false;
+        scanAbortController = null;
+    }
+}
+
+/**
+ * Starts a scan in the background and returns its scan id straight away
+ * The scan's outcome (including any error) is recorded on its scan run,
+ * so callers poll GET /api/scans/:id instead of awaiting it
+ * @returns {number} The ID of the new scan run
+ * @throws {Error} If a scan is already in progress
+ */
+export function launchScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions, options = {}) {
+    if (scanInProgress) {
+        throw new Error('A scan is already in progress');
     }
+
+    const scanId = dbManager.createScanRun(
+        { searchPhrases, typicalPhrases, feedbackThreshold, conditions, ...getSearchSettings(options) },
+        options.searchId || null,
+        options.trigger || 'manual'
+    );
+
+    startScan(searchPhrases, typicalPhrases, feedbackThreshold, conditions, { ...options, scanId })
+        .catch(error => {
+            // Already logged and stored on the scan run by startScan
+            console.error(`Background scan ${scanId} failed:`, error.message);
+        });
+
+    return scanId;
+}
+
+/**
+ * Requests cancellation of the running scan
+ * The phrase and seller loops stop at their next check and in-flight eBay
+ * requests are aborted; the scan then ends with status 'cancelled'
+ * @returns {boolean} True if a running scan was asked to stop
+ */
+export function cancelScan() {
+    if (!scanInProgress || !scanAbortController || scanAbortController.signal.aborted) {
+        return false;
+    }
+
+    scanAbortController.abort();
+    logger.log('Scan cancellation requested');
+    return true;
 }
         
-     
\ No newline at end of file
+     
+
+// startScan arguments for a saved search's stored configuration
+function getSavedSearchScanArgs(search, options) {
+    return [
+        search.search_phrases,
+        search.typical_phrases,
+        search.feedback_threshold,
+        search.conditions,
+        {
+            ...options,
+            searchId: search.id,
+            marketplace: search.marketplace,
+            categoryIds: search.category_ids,
+            minPrice: search.min_price,
+            maxPrice: search.max_price,
+            buyingOptions: search.buying_options,
+            listedWithinHours: search.listed_within_hours,
+            detectionMode: search.detection_mode,
+            specialistCategoryIds: search.specialist_category_ids,
+            specialistThreshold: search.specialist_threshold,
+            minRatio: search.min_ratio,
+            minSampleSize: search.min_sample_size,
+            listingMode: search.listing_mode,
+            listingLimit: search.listing_limit,
+            scoreWeights: search.score_weights,
+            excludedTerms: search.excluded_terms,
+            maxItems: search.max_items,
+            sortOrder: search.sort_order,
+            priceDropPercent: search.price_drop_percent
+        }
+    ];
+}
+
+/**
+ * Runs a scan using a saved search's stored configuration
+ * @param {number} searchId - The ID of the saved search
+ * @param {Object} [options] - Extra startScan options (e.g. trigger)
+ */
+export async function startSavedSearchScan(searchId, options = {}) {
+    const search = dbManager.getSavedSearchById(searchId);
+    if (!search) {
+        throw new Error(`Saved search ${searchId} not found`);
+    }
+
+    return startScan(...getSavedSearchScanArgs(search, options));
+}
+
+/**
+ * Starts a scan of a saved search in the background, using its stored configuration
+ * @param {number} searchId - The ID of the saved search
+ * @param {Object} [options] - Extra startScan options (e.g. trigger)
+ * @returns {number} The ID of the new scan run
+ * @throws {Error} If the search doesn't exist or a scan is already in progress
+ */
+export function launchSavedSearchScan(searchId, options = {}) {
+    const search = dbManager.getSavedSearchById(searchId);
+    if (!search) {
+        throw new Error(`Saved search ${searchId} not found`);
+    }
+
+    return launchScan(...getSavedSearchScanArgs(search, options));
+}
@@ -0,0 +1,107 @@
+// In-process scheduler for recurring saved-search scans
+// Checks once a minute for saved searches whose next_run_at has passed and
+// queues them through startSavedSearchScan, one scan at a time.
+// Runs missed while the server was stopped are caught up on start: each
+// overdue search runs once, then its next run is scheduled from now.
+import logger from '../utils/logger.js';
+import dbManager from '../db/DatabaseListingsManager.js';
+import { getNextRunTime } from '../utils/schedule.js';
+import { startSavedSearchScan, scanInProgress } from './scanner.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let checkTimer = null;
+let processingQueue = false;
+const queue = [];
+
+/**
+ * Starts the scheduler and immediately catches up on overdue searches
+ */
+export function startScheduler() {
+    if (checkTimer) return;
+
+    checkTimer = setInterval(checkDueSearches, CHECK_INTERVAL_MS);
+    checkDueSearches();
+    console.log('Scheduler started');
+}
+
+/**
+ * Stops the scheduler; a scan that is already running is left to finish
+ */
+export function stopScheduler() {
+    if (checkTimer) {
+        clearInterval(checkTimer);
+        checkTimer = null;
+        console.log('Scheduler stopped');
+    }
+    queue.length = 0;
+}
+
+/**
+ * Returns the IDs of saved searches waiting to be scanned
+ * @returns {number[]} Queued saved search IDs, in run order
+ */
+export function getQueuedSearchIds() {
+    return [...queue];
+}
+
+/**
+ * Queues every scheduled search that is due, then works through the queue
+ */
+function checkDueSearches() {
+    try {
+        const now = new Date();
+
+        for (const search of dbManager.getScheduledSearches()) {
+            // Newly scheduled searches start counting from now
+            if (!search.next_run_at) {
+                const nextRun = getNextRunTime(search.schedule, now);
+                dbManager.setSearchRunTimes(search.id, nextRun ? nextRun.toISOString() : null);
+                continue;
+            }
+
+            if (new Date(search.next_run_at) <= now && !queue.includes(search.id)) {
+                queue.push(search.id);
+                logger.log(`Scheduler: queued saved search "${search.name}" (due ${search.next_run_at})`);
+            }
+        }
+    } catch (error) {
+        console.error('Scheduler check failed:', error);
+    }
+
+    processQueue();
+}
+
+/**
+ * Runs queued searches one after another
+ * If a manual scan is running, the queue waits for the next check
+ */
+async function processQueue() {
+    if (processingQueue) return;
+    processingQueue = true;
+
+    try {
+        while (queue.length > 0 && !scanInProgress) {
+            const searchId = queue.shift();
+            const search = dbManager.getSavedSearchById(searchId);
+
+            if (!search || !search.schedule_enabled) continue;
+
+            // Schedule the next run before starting, so a crash mid-scan doesn't re-run it in a loop
+            const startedAt = new Date();
+            const nextRun = getNextRunTime(search.schedule, startedAt);
+            dbManager.setSearchRunTimes(searchId, nextRun ? nextRun.toISOString() : null, startedAt.toISOString());
+
+            try {
+                const scan = startSavedSearchScan(searchId, { trigger: 'scheduled' });
+                await logger.log(`Scheduler: started scan for saved search "${search.name}"`);
+                await scan;
+            } catch (error) {
+                // The error is already recorded on the scan run
+                await logger.log(`Scheduler: scan for "${search.name}" failed: ${error.message}`);
+            }
+        }
+    } finally {
+        processingQueue = false;
+    }
+}
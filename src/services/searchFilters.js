@@ -0,0 +1,131 @@
+// searchFilters.js
+// Listing filters a search can push down to the Browse API (price range,
+// buying format, listing age, excluded terms), so eBay returns fewer irrelevant items.
+
+// Buying formats accepted by the Browse API buyingOptions filter
+export const BUYING_OPTIONS = ['AUCTION', 'FIXED_PRICE', 'BEST_OFFER'];
+
+/**
+ * Reads and validates listing filters from a request or saved search
+ * Empty values mean "no filter" and come back as null
+ * @param {Object} input
+ * @param {number|string} [input.minPrice] - Lowest price, in the marketplace currency
+ * @param {number|string} [input.maxPrice] - Highest price
+ * @param {string[]|string} [input.buyingOptions] - Any of BUYING_OPTIONS (array or comma-separated)
+ * @param {number|string} [input.listedWithinHours] - Only listings started in the last N hours
+ * @returns {{filters: Object, error: string|null}} Normalized filters, or the first problem found
+ */
+export function parseListingFilters({ minPrice, maxPrice, buyingOptions, listedWithinHours } = {}) {
+    const isEmpty = value => value === undefined || value === null || value === '';
+    const filters = {
+        minPrice: isEmpty(minPrice) ? null : Number(minPrice),
+        maxPrice: isEmpty(maxPrice) ? null : Number(maxPrice),
+        buyingOptions: null,
+        listedWithinHours: isEmpty(listedWithinHours) ? null : Number(listedWithinHours)
+    };
+
+    for (const key of ['minPrice', 'maxPrice']) {
+        if (filters[key] !== null && !(filters[key] >= 0)) {
+            return { filters, error: `${key} must be a non-negative number` };
+        }
+    }
+    if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+        return { filters, error: 'minPrice cannot be greater than maxPrice' };
+    }
+
+    if (!isEmpty(buyingOptions)) {
+        const options = (Array.isArray(buyingOptions) ? buyingOptions : String(buyingOptions).split(','))
+            .map(option => String(option).trim().toUpperCase())
+            .filter(Boolean);
+        const unknown = options.filter(option => !BUYING_OPTIONS.includes(option));
+        if (unknown.length > 0) {
+            return { filters, error: `Unknown buying options: ${unknown.join(', ')}` };
+        }
+        filters.buyingOptions = options.length > 0 ? [...new Set(options)] : null;
+    }
+
+    if (filters.listedWithinHours !== null
+        && !(Number.isInteger(filters.listedWithinHours) && filters.listedWithinHours > 0)) {
+        return { filters, error: 'listedWithinHours must be a positive whole number' };
+    }
+
+    return { filters, error: null };
+}
+
+/**
+ * Builds the Browse API search parameters for a set of listing filters
+ * @param {Object} filters - Output of parseListingFilters
+ * @param {string} currency - Marketplace currency (a price filter needs priceCurrency)
+ * @param {Date} [now] - Reference time for listedWithinHours
+ * @returns {{filter: string[], sort: string|null}} Filter clauses to join with
+ *          commas, and the sort order to request
+ */
+export function buildBrowseFilters(filters, currency, now = new Date()) {
+    const filter = [];
+    const { minPrice, maxPrice, buyingOptions, listedWithinHours } = filters || {};
+
+    if (minPrice !== null && minPrice !== undefined || maxPrice !== null && maxPrice !== undefined) {
+        filter.push(`price:[${minPrice ?? ''}..${maxPrice ?? ''}]`);
+        filter.push(`priceCurrency:${currency}`);
+    }
+    if (buyingOptions?.length) {
+        filter.push(`buyingOptions:{${buyingOptions.join('|')}}`);
+    }
+    if (listedWithinHours) {
+        const since = new Date(now.getTime() - listedWithinHours * 60 * 60 * 1000);
+        filter.push(`itemStartDate:[${since.toISOString()}..]`);
+    }
+
+    // Fresh listings first, so a short listing-age window fills the pages we fetch
+    return { filter, sort: listedWithinHours ? 'newlyListed' : null };
+}
+
+const MAX_QUERY_LENGTH = 100; // Browse API limit on q
+
+/**
+ * Reads and validates a search's excluded terms (negative keywords)
+ * Terms use the typical phrase syntax; a leading - is optional
+ * @param {string[]|string} [excludedTerms] - Terms (array or comma-separated)
+ * @returns {{terms: string[]|null, error: string|null}} Distinct terms (null = none),
+ *          or the first problem found
+ */
+export function parseExcludedTerms(excludedTerms) {
+    if (excludedTerms === undefined || excludedTerms === null || excludedTerms === '') {
+        return { terms: null, error: null };
+    }
+    if (!Array.isArray(excludedTerms) && typeof excludedTerms !== 'string') {
+        return { terms: null, error: 'excludedTerms must be a list of terms' };
+    }
+
+    const terms = (Array.isArray(excludedTerms) ? excludedTerms : excludedTerms.split(','))
+        .map(term => String(term).trim().replace(/^-+/, '').trim())
+        .filter(term => term.replace(/"/g, '').trim());
+
+    return { terms: terms.length > 0 ? [...new Set(terms)] : null, error: null };
+}
+
+/**
+ * Appends excluded terms to a search phrase using the Browse API -term syntax
+ * Terms that would push q over the Browse API length limit, and wildcard
+ * terms, are left out of q (the local title filter still removes them)
+ * @param {string} phrase - Search phrase
+ * @param {string[]} [excludedTerms] - Output of parseExcludedTerms
+ * @returns {{q: string, omitted: string[]}} The q parameter and the terms left out of it
+ */
+export function buildExcludedTermsQuery(phrase, excludedTerms) {
+    let q = phrase;
+    const omitted = [];
+
+    for (const term of excludedTerms || []) {
+        const words = term.replace(/"/g, ' ').trim().split(/\s+/);
+        const clause = words.length > 1 ? `-"${words.join(' ')}"` : `-${words[0]}`;
+
+        if (term.includes('*') || `${q} ${clause}`.length > MAX_QUERY_LENGTH) {
+            omitted.push(term);
+        } else {
+            q = `${q} ${clause}`;
+        }
+    }
+
+    return { q, omitted };
+}
@@ -0,0 +1,129 @@
+// sellerScore.js
+// Ranks qualified sellers by a composite score, so the most promising casual
+// sellers come first instead of a flat include/exclude list.
+// Each factor is scaled to 0..1 (1 = better) and the score is their weighted
+// average on a 0..100 scale.
+
+// Factors in the score; weights are keyed by these names
+export const SCORE_FACTORS = {
+    specialistRatio: 'Specialist ratio (lower is better)',
+    feedbackScore: 'Feedback score (lower is better)',
+    feedbackPercentage: 'Positive feedback % (higher is better)',
+    inventorySize: 'Inventory size (smaller is better)',
+    sampleConfidence: 'Sample confidence (more sampled listings is better)'
+};
+
+export const DEFAULT_SCORE_WEIGHTS = {
+    specialistRatio: 40,
+    feedbackScore: 20,
+    feedbackPercentage: 10,
+    inventorySize: 15,
+    sampleConfidence: 15
+};
+
+const LOG_SCALE_MAX = 10000; // Feedback scores and inventories this large score 0
+const FEEDBACK_PERCENTAGE_FLOOR = 90; // Positive feedback at or below this % scores 0
+const CONFIDENT_SAMPLE_SIZE = 50; // Sampled listings needed for full confidence
+
+const clamp = value => Math.min(Math.max(value, 0), 1);
+const logScale = value => clamp(Math.log10(1 + Math.max(value, 0)) / Math.log10(1 + LOG_SCALE_MAX));
+
+/**
+ * Reads and validates per-search score weights
+ * Factors left out keep their default weight
+ * @param {Object|string|null} [input] - Weights keyed by SCORE_FACTORS (object or JSON text)
+ * @returns {{weights: Object|null, error: string|null}} The given weights (null = all
+ *          defaults), or the first problem found
+ */
+export function parseScoreWeights(input) {
+    if (input === undefined || input === null || input === '') {
+        return { weights: null, error: null };
+    }
+
+    let raw = input;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            return { weights: null, error: 'scoreWeights must be an object of factor weights' };
+        }
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { weights: null, error: 'scoreWeights must be an object of factor weights' };
+    }
+
+    const weights = {};
+    for (const [factor, value] of Object.entries(raw)) {
+        if (!SCORE_FACTORS[factor]) {
+            return { weights: null, error: `Unknown score factor: ${factor}` };
+        }
+        if (value === undefined || value === null || value === '') continue;
+
+        const weight = Number(value);
+        if (!(weight >= 0) || !Number.isFinite(weight)) {
+            return { weights: null, error: `Weight for ${factor} must be a non-negative number` };
+        }
+        weights[factor] = weight;
+    }
+
+    const total = Object.values({ ...DEFAULT_SCORE_WEIGHTS, ...weights }).reduce((sum, weight) => sum + weight, 0);
+    if (total === 0) {
+        return { weights: null, error: 'At least one score weight must be above 0' };
+    }
+
+    return { weights: Object.keys(weights).length > 0 ? weights : null, error: null };
+}
+
+/**
+ * Computes a seller's composite score
+ * @param {Object} seller
+ * @param {number} seller.ratio - Specialist ratio used for the decision (0-100)
+ * @param {number} seller.specialistThreshold - Ratio above which the seller is a specialist
+ * @param {number} [seller.feedbackScore] - eBay feedback score
+ * @param {number|string} [seller.feedbackPercentage] - Positive feedback % (unknown scores neutral)
+ * @param {number} [seller.totalListings] - Listings in the seller's store
+ * @param {number} [seller.sampleSize] - Listings sampled for the ratio
+ * @param {Object} [weights] - Weights keyed by SCORE_FACTORS; missing factors use the defaults
+ * @returns {{score: number, factors: Object}} Score from 0 to 100 (one decimal) and each
+ *          factor's 0..1 value
+ */
+export function computeSellerScore(seller, weights = null) {
+    const { ratio, specialistThreshold, feedbackScore, feedbackPercentage, totalListings, sampleSize } = seller;
+    const percentage = parseFloat(feedbackPercentage);
+
+    const factors = {
+        specialistRatio: specialistThreshold > 0 ? 1 - clamp(ratio / specialistThreshold) : (ratio > 0 ? 0 : 1),
+        feedbackScore: 1 - logScale(feedbackScore || 0),
+        feedbackPercentage: isNaN(percentage)
+            ? 0.5
+            : clamp((percentage - FEEDBACK_PERCENTAGE_FLOOR) / (100 - FEEDBACK_PERCENTAGE_FLOOR)),
+        inventorySize: 1 - logScale(totalListings || 0),
+        sampleConfidence: clamp((sampleSize || 0) / CONFIDENT_SAMPLE_SIZE)
+    };
+
+    const effectiveWeights = { ...DEFAULT_SCORE_WEIGHTS, ...(weights || {}) };
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [factor, value] of Object.entries(factors)) {
+        weighted += value * effectiveWeights[factor];
+        totalWeight += effectiveWeights[factor];
+    }
+
+    const score = totalWeight > 0 ? Math.round(weighted / totalWeight * 1000) / 10 : 0;
+    return { score, factors };
+}
+
+/**
+ * Orders items by their seller's score, best first
+ * Items without a score go last; ties keep their order
+ * @param {Object[]} items - Listings or result rows
+ * @param {function(Object): (number|null|undefined)} [getScore] - Reads an item's seller score
+ * @returns {Object[]} A sorted copy
+ */
+export function rankBySellerScore(items, getScore = item => item.sellerScore) {
+    const scoreOf = item => {
+        const score = getScore(item);
+        return typeof score === 'number' ? score : -Infinity;
+    };
+    return [...items].sort((a, b) => scoreOf(b) - scoreOf(a) || 0);
+}
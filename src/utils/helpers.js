@@ -9,4 +9,71 @@
  */
 export const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-// Add other utility functions here as needed 
\ No newline at end of file
+// Add other utility functions here as needed 
+
+/**
+ * Runs an async worker over items with at most `concurrency` running at once
+ * Results are handed to onResult in the original item order, each as soon as
+ * all earlier items have finished, so ordered side effects (logging, progress)
+ * stay the same as a sequential loop
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => result
+ * @param {Function} onResult - async (result, index) => void, called in item order
+ * @param {AbortSignal} [signal] - Stops starting new items; items not started get an undefined result
+ * 
+ * Usage example:
+ * - await runOrderedPool(sellers, 3, analyzeSeller, recordDecision, signal)
+ */
+export async function runOrderedPool(items, concurrency, worker, onResult, signal) {
+    const results = new Array(items.length);
+    const finished = new Array(items.length).fill(false);
+    let nextIndex = 0;
+    let nextToDeliver = 0;
+    let delivery = Promise.resolve();
+
+    const deliverFinished = async () => {
+        while (nextToDeliver < items.length && finished[nextToDeliver]) {
+            const index = nextToDeliver++;
+            await onResult(results[index], index);
+        }
+    };
+
+    const runWorker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            if (!signal?.aborted) {
+                results[index] = await worker(items[index], index);
+            }
+            finished[index] = true;
+
+            // Chain deliveries so onResult never runs concurrently with itself
+            delivery = delivery.then(deliverFinished);
+            await delivery;
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+}
+
+/**
+ * Groups listings by seller, keeping the order in which sellers first appear
+ * @param {Object[]} listings - Listings in any order
+ * @param {Function} getSeller - listing => seller username
+ * @returns {Array<{seller: string, listings: Object[]}>} One group per seller
+ *
+ * Usage example:
+ * - groupBySeller(scanResults.listings, item => item.seller?.username)
+ */
+export function groupBySeller(listings, getSeller) {
+    const groups = new Map();
+    for (const listing of listings) {
+        const seller = getSeller(listing) || 'N/A';
+        if (!groups.has(seller)) {
+            groups.set(seller, { seller, listings: [] });
+        }
+        groups.get(seller).listings.push(listing);
+    }
+    return [...groups.values()];
+}
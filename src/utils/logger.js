@@ -1,9 +1,12 @@
 // logger.js
 import fs from 'fs/promises';
+import { AsyncLocalStorage } from 'async_hooks';
 
 class Logger {
     constructor() {
         this.logMessages = [];
+        // Active while code runs inside captureLogs()
+        this.captureStorage = new AsyncLocalStorage();
     }
 
     async log(message) {
@@ -12,6 +15,18 @@ class Logger {
             timeZone: 'America/New_York',
             hour12: true 
         });    
+
+        // Inside captureLogs(), hold the message back so concurrent tasks don't interleave
+        const captured = this.captureStorage.getStore();
+        if (captured) {
+            captured.push({ timestamp, message });
+            return;
+        }
+
+        await this.write(timestamp, message);
+    }
+
+    async write(timestamp, message) {
         const logMessage = `${timestamp}: ${message}\n`;
         
         // Keep limited logs for web display
@@ -33,6 +48,28 @@ class Logger {
         }
     }
 
+    /**
+     * Runs fn and collects everything it logs instead of writing it
+     * Used to keep per-seller logs together when sellers are analyzed in parallel
+     * @param {Function} fn - Async function to run
+     * @returns {Promise<{result: *, entries: Object[]}>} fn's result and the captured log entries
+     */
+    async captureLogs(fn) {
+        const entries = [];
+        const result = await this.captureStorage.run(entries, fn);
+        return { result, entries };
+    }
+
+    /**
+     * Writes log entries collected by captureLogs, keeping their original timestamps
+     * @param {Object[]} entries - Captured log entries
+     */
+    async replay(entries) {
+        for (const { timestamp, message } of entries) {
+            await this.write(timestamp, message);
+        }
+    }
+
     getLogMessages() {
         return this.logMessages;
     }
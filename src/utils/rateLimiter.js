@@ -0,0 +1,32 @@
+// rateLimiter.js
+import { delay } from './helpers.js';
+
+/**
+ * Spaces calls evenly so no more than `requestsPerSecond` start per second
+ * Shared by every caller, so parallel workers together stay under the limit
+ */
+class RateLimiter {
+    /**
+     * @param {number} requestsPerSecond - Maximum calls started per second
+     */
+    constructor(requestsPerSecond) {
+        this.intervalMs = 1000 / Math.max(requestsPerSecond, 0.001);
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Waits until the caller may start its request
+     * Slots are reserved synchronously, so concurrent callers queue up in call order
+     */
+    async acquire() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.intervalMs;
+
+        if (slot > now) {
+            await delay(slot - now);
+        }
+    }
+}
+
+export { RateLimiter };
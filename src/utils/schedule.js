@@ -0,0 +1,163 @@
+// schedule.js
+// Parses saved search schedules and works out when they are next due.
+// Two formats are supported:
+// - Intervals: "30m", "12h", "7d", "2w" (optionally prefixed with "every ")
+// - Cron expressions: five fields "minute hour day-of-month month day-of-week",
+//   plus the @hourly, @daily and @weekly shortcuts. Evaluated in server local time.
+
+const INTERVAL_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+const CRON_SHORTCUTS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0'
+};
+
+// [min, max] for each cron field, in order
+const CRON_FIELD_RANGES = [
+    [0, 59],  // minute
+    [0, 23],  // hour
+    [1, 31],  // day of month
+    [1, 12],  // month
+    [0, 7]    // day of week (0 and 7 are both Sunday)
+];
+
+// Don't search further ahead than this for the next matching cron time
+const MAX_CRON_LOOKAHEAD_DAYS = 366 * 5;
+
+/**
+ * Parses one cron field ("*", "5", "1-5", "0-59/15", "1,3,5") into a Set of values
+ * @param {string} field - The cron field text
+ * @param {number[]} range - [min, max] allowed values
+ * @returns {Set<number>|null} Allowed values, or null if the field is invalid
+ */
+function parseCronField(field, [min, max]) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+        if (!match) return null;
+
+        const [, start, end, step] = match;
+        let from = start === '*' ? min : parseInt(start);
+        let to = start === '*' ? max : (end !== undefined ? parseInt(end) : from);
+        const increment = step !== undefined ? parseInt(step) : 1;
+
+        // "5/15" means "from 5 to the end, every 15"
+        if (start !== '*' && end === undefined && step !== undefined) {
+            to = max;
+        }
+
+        if (from < min || to > max || from > to || increment < 1) return null;
+
+        for (let value = from; value <= to; value += increment) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses a schedule string
+ * @param {string} expression - Interval ("7d") or cron ("0 6 * * 1") schedule
+ * @returns {Object|null} { type: 'interval', ms } or { type: 'cron', fields },
+ *                        or null if the expression is not valid
+ */
+export function parseSchedule(expression) {
+    if (!expression || typeof expression !== 'string') return null;
+
+    const text = expression.trim().toLowerCase();
+
+    const interval = text.match(/^(?:every\s+)?(\d+)\s*([mhdw])$/);
+    if (interval) {
+        const ms = parseInt(interval[1]) * INTERVAL_UNITS[interval[2]];
+        return ms > 0 ? { type: 'interval', ms } : null;
+    }
+
+    const cronText = CRON_SHORTCUTS[text] || text;
+    const parts = cronText.split(/\s+/);
+    if (parts.length !== 5) return null;
+
+    const fields = parts.map((part, index) => parseCronField(part, CRON_FIELD_RANGES[index]));
+    if (fields.some(field => field === null)) return null;
+
+    // Sunday can be written as 0 or 7
+    if (fields[4].has(7)) fields[4].add(0);
+
+    return {
+        type: 'cron',
+        fields,
+        // Standard cron: when both day fields are restricted, either may match
+        dayOfMonthRestricted: parts[2] !== '*',
+        dayOfWeekRestricted: parts[4] !== '*'
+    };
+}
+
+/**
+ * Checks whether a date falls on a day allowed by a parsed cron schedule
+ */
+function cronDayMatches(schedule, date) {
+    const [, , daysOfMonth, , daysOfWeek] = schedule.fields;
+    const domMatch = daysOfMonth.has(date.getDate());
+    const dowMatch = daysOfWeek.has(date.getDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Works out the next time a schedule is due after a given time
+ * @param {string} expression - Interval or cron schedule
+ * @param {Date} [from] - Start point (default: now)
+ * @returns {Date|null} The next due time, or null if the schedule is invalid or never
+ *          comes due (e.g. "0 0 30 2 *")
+ */
+export function getNextRunTime(expression, from = new Date()) {
+    const schedule = parseSchedule(expression);
+    if (!schedule) return null;
+
+    if (schedule.type === 'interval') {
+        return new Date(from.getTime() + schedule.ms);
+    }
+
+    const [minutes, hours, , months] = schedule.fields;
+
+    // Start at the next whole minute and skip ahead field by field
+    const next = new Date(from.getTime());
+    next.setSeconds(0, 0);
+    next.setMinutes(next.getMinutes() + 1);
+
+    const limit = from.getTime() + MAX_CRON_LOOKAHEAD_DAYS * INTERVAL_UNITS.d;
+
+    while (next.getTime() <= limit) {
+        if (!months.has(next.getMonth() + 1)) {
+            next.setMonth(next.getMonth() + 1, 1);
+            next.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cronDayMatches(schedule, next)) {
+            next.setDate(next.getDate() + 1);
+            next.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!hours.has(next.getHours())) {
+            next.setHours(next.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!minutes.has(next.getMinutes())) {
+            next.setMinutes(next.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return next;
+    }
+
+    return null;
+}
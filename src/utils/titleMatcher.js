@@ -0,0 +1,139 @@
+// titleMatcher.js
+// Matches listing titles against phrase patterns such as typical phrases.
+// A pattern is a list of terms separated by spaces:
+// - ring            whole words only ("ring" does not match "earring" or "string")
+// - rings, brooch   simple plurals match both ways (ring/rings, brooch/brooches, lady/ladies)
+// - 14k gold        consecutive plain words must appear together, in order
+// - "sterling"      quoted words must appear exactly as written (no plural forms)
+// - silver*         * stands for any run of letters or digits (silverware, silvertone);
+//                   wildcard words get no plural forms
+// - -plated         the title must not contain the negated word or "quoted phrase"
+// A pattern with several phrases ("sterling" ring) needs all of them somewhere in
+// the title. Negated terms only narrow the other terms, so a pattern made of
+// negated terms alone matches nothing. Matching ignores case and punctuation.
+
+// Bumped whenever matching changes, so ratios cached with older rules are recomputed
+// (1 = the substring matcher this module replaced)
+export const TITLE_MATCHER_VERSION = 2;
+
+// Letters and digits in any script; apostrophes are dropped first so "women's" is one word
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const PATTERN_WORD_PATTERN = /[\p{L}\p{N}*]+/gu;
+
+// Quoted phrase, or a run of non-space characters; either may be negated with a leading -
+const TERM_PATTERN = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+
+/**
+ * Splits text into lowercase words
+ * @param {string} text - A title or pattern
+ * @param {RegExp} [wordPattern] - What counts as a word
+ * @returns {string[]}
+ */
+function toWords(text, wordPattern = WORD_PATTERN) {
+    return String(text ?? '').toLowerCase().replace(/['’]/g, '').match(wordPattern) || [];
+}
+
+// The word plus the singular forms it could be a plural of
+function wordForms(word) {
+    const forms = [word];
+    if (word.length > 3) {
+        if (word.endsWith('ies')) forms.push(word.slice(0, -3) + 'y');
+        if (word.endsWith('es')) forms.push(word.slice(0, -2));
+        if (word.endsWith('s') && !word.endsWith('ss')) forms.push(word.slice(0, -1));
+    }
+    return forms;
+}
+
+/**
+ * Builds a test for one word of a pattern
+ * @param {string} word - Lowercase pattern word, possibly with * wildcards
+ * @param {boolean} exact - Quoted word: no plural forms
+ * @returns {function(string): boolean} Test for a lowercase title word
+ */
+function compileWord(word, exact) {
+    if (word.includes('*')) {
+        const source = word.split('*')
+            .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[\\p{L}\\p{N}]*');
+        const regex = new RegExp(`^${source}$`, 'u');
+        return titleWord => regex.test(titleWord);
+    }
+    if (exact) {
+        return titleWord => titleWord === word;
+    }
+    const forms = new Set(wordForms(word));
+    return titleWord => wordForms(titleWord).some(form => forms.has(form));
+}
+
+// Whether the word tests match consecutive title words somewhere in the title
+function containsPhrase(titleWords, phrase) {
+    for (let start = 0; start + phrase.length <= titleWords.length; start++) {
+        if (phrase.every((test, offset) => test(titleWords[start + offset]))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Parses a pattern into the phrases a title must and must not contain
+ * @param {string} pattern - Pattern text (see the syntax above)
+ * @returns {{include: Array<Function[]>, exclude: Array<Function[]>}} Phrases
+ *          as lists of word tests
+ */
+function parsePattern(pattern) {
+    const include = [];
+    const exclude = [];
+    let run = null; // Plain words collected into one phrase
+
+    for (const [, quotedNegation, quoted, plainNegation, plain] of String(pattern ?? '').matchAll(TERM_PATTERN)) {
+        const isQuoted = quoted !== undefined;
+        const words = toWords(isQuoted ? quoted : plain, PATTERN_WORD_PATTERN);
+        if (words.length === 0) continue;
+
+        const tests = words.map(word => compileWord(word, isQuoted));
+        if (quotedNegation || plainNegation) {
+            exclude.push(tests);
+            run = null;
+        } else if (isQuoted) {
+            include.push(tests);
+            run = null;
+        } else if (run) {
+            run.push(...tests);
+        } else {
+            run = tests;
+            include.push(run);
+        }
+    }
+
+    return { include, exclude };
+}
+
+/**
+ * Builds a matcher that checks titles against a set of patterns
+ * @param {string[]} patterns - Patterns such as a search's typical phrases
+ * @returns {function(string): boolean} True when the title matches any pattern
+ */
+export function createTitleMatcher(patterns) {
+    const compiled = (patterns || [])
+        .map(parsePattern)
+        .filter(({ include }) => include.length > 0);
+
+    return title => {
+        const titleWords = toWords(title);
+        return compiled.some(({ include, exclude }) =>
+            include.every(phrase => containsPhrase(titleWords, phrase)) &&
+            !exclude.some(phrase => containsPhrase(titleWords, phrase))
+        );
+    };
+}
+
+/**
+ * Checks one title against one pattern
+ * @param {string} title - Listing title
+ * @param {string} pattern - Pattern text (see the syntax above)
+ * @returns {boolean}
+ */
+export function matchesPattern(title, pattern) {
+    return createTitleMatcher([pattern])(title);
+}
@@ -0,0 +1,275 @@
+// Mock eBay API for offline runs
+// Serves the OAuth token, Browse item_summary/search, Browse getItem and
+// Taxonomy endpoints from the JSON files in ./fixtures, closely enough for the whole scan
+// pipeline to run without network access or credentials.
+//
+// Run standalone:  node tests/mock-ebay/server.js   (port MOCK_EBAY_PORT, default 4010)
+// then start the app with EBAY_API_BASE_URL=http://localhost:4010
+import express from 'express';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+// eBay's error body shape
+function ebayError(res, status, errorId, message) {
+    return res.status(status).json({
+        errors: [{ errorId, domain: 'API_BROWSE', category: 'REQUEST', message }]
+    });
+}
+
+// Parses "sellers:{a|b},buyingOptions:{FIXED_PRICE}" into { sellers: ['a', 'b'], ... }
+function parseFilter(filter) {
+    const filters = {};
+    if (!filter) return filters;
+
+    for (const match of filter.matchAll(/(\w+):(\{[^}]*\}|\[[^\]]*\]|[^,]*)/g)) {
+        const [, name, value] = match;
+        filters[name] = value.replace(/^[{[]|[}\]]$/g, '').split('|').filter(Boolean);
+    }
+    return filters;
+}
+
+// Fixture prices are in USD; other marketplaces get their own currency code
+const MARKETPLACE_CURRENCIES = { EBAY_US: 'USD', EBAY_GB: 'GBP', EBAY_DE: 'EUR' };
+
+// Maps each category ID in the tree to its parent's ID
+function buildParentMap(node, parentId = null, parents = new Map()) {
+    parents.set(node.category.categoryId, parentId);
+    for (const child of node.childCategoryTreeNodes || []) {
+        buildParentMap(child, node.category.categoryId, parents);
+    }
+    return parents;
+}
+
+// Like eBay, a category filter also matches items in its subcategories
+function inCategories(item, categoryIds, parents) {
+    return item.categories.some(({ categoryId }) => {
+        for (let id = categoryId; id; id = parents.get(id)) {
+            if (categoryIds.includes(id)) return true;
+        }
+        return false;
+    });
+}
+
+// "10..50", "10.." or "..50" -> [10, 50] with open ends as null
+function parseRange(range) {
+    const [low, high] = (range || '..').split('..');
+    return [low || null, high || null];
+}
+
+// price, buyingOptions and itemStartDate filters (itemStartDate is compared
+// with itemCreationDate, the only listing date item summaries carry)
+function matchesListingFilters(item, filters) {
+    if (filters.price) {
+        const [min, max] = parseRange(filters.price[0]).map(value => value === null ? null : Number(value));
+        const price = Number(item.price.value);
+        if ((min !== null && price < min) || (max !== null && price > max)) return false;
+    }
+    if (filters.buyingOptions && !item.buyingOptions.some(option => filters.buyingOptions.includes(option))) {
+        return false;
+    }
+    if (filters.itemStartDate) {
+        const [from, to] = parseRange(filters.itemStartDate[0]);
+        if ((from && item.itemCreationDate < from) || (to && item.itemCreationDate > to)) return false;
+    }
+    return true;
+}
+
+// Every word of q must appear in the title (case-insensitive); "(a,b c)" matches
+// titles with any of the comma-separated terms; -word and -"some phrase" exclude titles
+function matchesQuery(item, q) {
+    const title = item.title.toLowerCase();
+    const excluded = [];
+    q = q.replace(/(^|\s)-(?:"([^"]*)"|(\S+))/g, (match, space, phrase, word) => {
+        excluded.push((phrase ?? word).toLowerCase());
+        return space;
+    });
+    if (excluded.some(term => title.includes(term))) {
+        return false;
+    }
+    const anyOf = q.trim().match(/^\((.*)\)$/);
+    const terms = anyOf ? anyOf[1].split(',') : [q];
+    return terms.some(term => {
+        const words = term.toLowerCase().split(/\s+/).filter(Boolean);
+        return words.length > 0 && words.every(word => title.includes(word));
+    });
+}
+
+// refinement.categoryDistributions: match counts per leaf category, largest first
+function categoryDistributions(matches) {
+    const counts = new Map();
+    for (const item of matches) {
+        const [{ categoryId, categoryName }] = item.categories;
+        const entry = counts.get(categoryId) || { categoryId, categoryName, matchCount: 0 };
+        entry.matchCount++;
+        counts.set(categoryId, entry);
+    }
+    return [...counts.values()].sort((a, b) => b.matchCount - a.matchCount);
+}
+
+/**
+ * Builds the mock eBay app
+ * @param {Object} [fixtures] - Override fixtures ({ token, items, itemStatuses, categoryTree })
+ * @param {number} [fixtures.tokenRequestLimit] - Token requests answered before the token
+ *                                               endpoint starts failing with 503 (default: no limit)
+ * @returns {express.Application}
+ */
+export function createMockEbayApp(fixtures = {}) {
+    const token = fixtures.token || loadFixture('token.json');
+    const items = fixtures.items || loadFixture('items.json');
+    // getItem fields per item ID for listings that ended or sold; null = no longer served (404)
+    const itemStatuses = fixtures.itemStatuses || loadFixture('item_statuses.json');
+    const categoryTree = fixtures.categoryTree || loadFixture('category_tree.json');
+    const parents = buildParentMap(categoryTree.rootCategoryNode);
+    let tokenRequests = 0;
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    // Application token (client credentials grant)
+    app.post('/identity/v1/oauth2/token', (req, res) => {
+        if (!req.get('Authorization')?.startsWith('Basic ')) {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'client authentication failed' });
+        }
+        if (req.body.grant_type !== 'client_credentials') {
+            return res.status(400).json({ error: 'unsupported_grant_type' });
+        }
+        if (++tokenRequests > (fixtures.tokenRequestLimit ?? Infinity)) {
+            return res.status(503).json({ error: 'temporarily_unavailable' });
+        }
+        res.json(token);
+    });
+
+    // Browse and Taxonomy calls need the mock token
+    const requireToken = (req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${token.access_token}`) {
+            return ebayError(res, 401, 1001, 'Invalid access token');
+        }
+        next();
+    };
+
+    app.get('/buy/browse/v1/item_summary/search', requireToken, (req, res) => {
+        const { q = '', filter } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const offset = parseInt(req.query.offset) || 0;
+
+        const currency = MARKETPLACE_CURRENCIES[req.get('X-EBAY-C-MARKETPLACE-ID') || 'EBAY_US'];
+        if (!currency) {
+            return ebayError(res, 400, 12007, 'Invalid X-EBAY-C-MARKETPLACE-ID');
+        }
+        if (!q && !req.query.category_ids) {
+            return ebayError(res, 400, 12001, 'A q or category_ids parameter is required');
+        }
+
+        const filters = parseFilter(filter);
+        if (filters.price && !filters.priceCurrency) {
+            return ebayError(res, 400, 12023, 'A price filter needs a priceCurrency filter');
+        }
+        const categoryIds = req.query.category_ids?.split(',');
+        const matches = items.filter(item =>
+            (!q || matchesQuery(item, q)) &&
+            (!categoryIds || inCategories(item, categoryIds, parents)) &&
+            (!filters.sellers || filters.sellers.includes(item.seller.username)) &&
+            matchesListingFilters(item, filters)
+        );
+        if (req.query.sort === 'newlyListed') {
+            matches.sort((a, b) => b.itemCreationDate.localeCompare(a.itemCreationDate));
+        } else if (req.query.sort === 'price' || req.query.sort === '-price') {
+            const direction = req.query.sort === 'price' ? 1 : -1;
+            matches.sort((a, b) => direction * (parseFloat(a.price.value) - parseFloat(b.price.value)));
+        }
+
+        const page = matches.slice(offset, offset + limit)
+            .map(item => ({ ...item, price: { ...item.price, currency } }));
+        const pageUrl = pageOffset => {
+            const params = new URLSearchParams(req.query);
+            params.set('offset', pageOffset);
+            return `${req.protocol}://${req.get('host')}${req.path}?${params}`;
+        };
+
+        const body = { href: pageUrl(offset), total: matches.length, limit, offset };
+        if (offset + limit < matches.length) {
+            body.next = pageUrl(offset + limit);
+        }
+        if (req.query.fieldgroups?.split(',').includes('CATEGORY_REFINEMENTS')) {
+            body.refinement = { categoryDistributions: categoryDistributions(matches) };
+        }
+        // Like eBay, an empty page has no itemSummaries at all
+        if (page.length > 0) {
+            body.itemSummaries = page;
+        }
+        res.json(body);
+    });
+
+    // Items not in item_statuses.json are live with one in stock
+    app.get('/buy/browse/v1/item/:itemId', requireToken, (req, res) => {
+        const item = items.find(({ itemId }) => itemId === req.params.itemId);
+        if (!item || itemStatuses[item.itemId] === null) {
+            return ebayError(res, 404, 11001, 'The specified item Id was not found.');
+        }
+        res.json({
+            ...item,
+            estimatedAvailabilities: [{
+                estimatedAvailabilityStatus: 'IN_STOCK',
+                estimatedAvailableQuantity: 1,
+                estimatedSoldQuantity: 0
+            }],
+            ...itemStatuses[item.itemId]
+        });
+    });
+
+    app.get('/commerce/taxonomy/v1/get_default_category_tree_id', requireToken, (req, res) => {
+        const treeIds = { EBAY_US: '0', EBAY_GB: '3', EBAY_DE: '77' };
+        const treeId = treeIds[req.query.marketplace_id];
+        if (!treeId) {
+            return ebayError(res, 400, 62004, 'Invalid marketplace_id');
+        }
+        res.json({ categoryTreeId: treeId, categoryTreeVersion: categoryTree.categoryTreeVersion });
+    });
+
+    app.get('/commerce/taxonomy/v1/category_tree/:id', requireToken, (req, res) => {
+        if (req.params.id !== categoryTree.categoryTreeId) {
+            return ebayError(res, 404, 62005, 'Category tree not found');
+        }
+        res.json(categoryTree);
+    });
+
+    app.use((req, res) => ebayError(res, 404, 2002, `No mock for ${req.method} ${req.path}`));
+
+    return app;
+}
+
+/**
+ * Starts the mock server
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (default: a free port)
+ * @param {Object} [options.fixtures] - Passed to createMockEbayApp
+ * @returns {Promise<{url: string, close: Function}>} Base URL to use as EBAY_API_BASE_URL
+ */
+export function startMockEbayServer({ port = 0, fixtures } = {}) {
+    return new Promise((resolve, reject) => {
+        const server = createMockEbayApp(fixtures).listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+// If running this file directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    startMockEbayServer({ port: parseInt(process.env.MOCK_EBAY_PORT) || 4010 })
+        .then(({ url }) => console.log(`Mock eBay API listening at ${url} - set EBAY_API_BASE_URL=${url}`))
+        .catch(error => console.error('Failed to start mock eBay API:', error));
+}
@@ -1,10 +1,27 @@
-import './test-db.js';
-import './test-api.js';
-import './test-ebay.js';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Each file runs in its own process: the database module opens on import, so
+// every file must get to set its own SCANNER_DB_PATH first
+const TEST_FILES = ['test-matcher.js', 'test-db.js', 'test-api.js', 'test-routes.js', 'test-ebay.js'];
 
 console.log('Running all tests...\n');
 
-process.on('unhandledRejection', (error) => {
-    console.error('❌ Unhandled promise rejection:', error);
-    process.exit(1);
-}); 
\ No newline at end of file
+const failed = TEST_FILES.filter(file => {
+    console.log(`\n=== ${file} ===`);
+    const { status, error } = spawnSync(process.execPath, [join(__dirname, file)], { stdio: 'inherit' });
+    if (error) {
+        console.error(`❌ Could not run ${file}:`, error);
+    }
+    return status !== 0;
+});
+
+if (failed.length > 0) {
+    console.error(`\n❌ Failed: ${failed.join(', ')}`);
+    process.exitCode = 1;
+} else {
+    console.log(`\n✅ All ${TEST_FILES.length} test files passed`);
+}
@@ -1,9 +1,24 @@
 
 const BASE_URL = 'http://localhost:3000';
 
+// These tests need the app running (npm start); without it they are skipped
+async function isServerRunning() {
+    try {
+        await fetch(BASE_URL);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
 async function testApiEndpoints() {
     console.log('Testing API Endpoints...');
 
+    if (!await isServerRunning()) {
+        console.log(`⏭️  Skipped: no server at ${BASE_URL} (start it with npm start)`);
+        return;
+    }
+
     try {
         // Test results endpoint first (simpler test)
         console.log('\n1. Testing /api/results endpoint...');
@@ -1,8 +1,9 @@
-import dbManager from '../src/db/DatabaseListingsManager.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import path from 'path';
+import os from 'os';
+import { rm } from 'fs/promises';
 
 // Get the directory name of the current module
 const __dirname = dirname(fileURLToPath(import.meta.url));
@@ -10,6 +11,12 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 // Configure dotenv to look for .env file in the project root
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
+// A throwaway database, so test rows never reach (or depend on) the real scanner.db
+process.env.SCANNER_DB_PATH = path.join(os.tmpdir(), `scanner-test-db-${process.pid}.db`);
+
+// Imported after the environment is set: the database opens on import
+const { default: dbManager } = await import('../src/db/DatabaseListingsManager.js');
+
 
 // Add a check to see what URL we're using
 console.log('Database URL:', process.env.DATABASE_URL);
@@ -55,8 +62,125 @@ async function testDatabaseOperations() {
         const results = await dbManager.getSearchResults(searchId);
         console.log('✅ Retrieved search results:', results.length, 'found');
 
+        // Test saving a batch of scan results to an ad-hoc search
+        console.log('\n6. Testing ad-hoc search with batch results...');
+        const adhocId = dbManager.createAdhocSearch(['adhoc phrase'], ['typical phrase'], 100, ['3000']);
+        const savedCount = dbManager.saveSearchResults(adhocId, [
+            { itemId: 'test456', title: 'Batch Item 1', price: 5, url: 'http://test.com/1', sellerId: 'seller456' },
+            { itemId: 'test789', title: 'Batch Item 2', price: 7.5, url: 'http://test.com/2', sellerId: 'seller789' }
+        ]);
+        const adhocResults = dbManager.getSearchResults(adhocId);
+        if (savedCount !== 2 || adhocResults.length !== 2) {
+            throw new Error(`Expected 2 ad-hoc results, got ${adhocResults.length}`);
+        }
+        if (dbManager.getSavedSearches().some(search => search.id === adhocId)) {
+            throw new Error('Ad-hoc search should not be listed with saved searches');
+        }
+        console.log('✅ Ad-hoc search results saved:', adhocResults.length, 'found');
+
+        // Test scan run history
+        console.log('\n7. Testing scan run history...');
+        const scanId = dbManager.createScanRun({ searchPhrases: ['test phrase'] }, searchId);
+        dbManager.addScanRunPhraseStats(scanId, { phrase: 'test phrase', itemsFetched: 10, sellersQualified: 1 });
+        dbManager.finishScanRun(scanId, 'completed', null, 1);
+        const scanRun = dbManager.getScanRunById(scanId);
+        if (scanRun.status !== 'completed' || scanRun.phrase_stats.length !== 1) {
+            throw new Error(`Unexpected scan run: ${JSON.stringify(scanRun)}`);
+        }
+        console.log('✅ Scan run recorded:', dbManager.getScanRuns().length, 'runs found');
+
+        // Test seller profile cache
+        console.log('\n8. Testing seller profile cache...');
+        dbManager.saveSellerProfile('seller123', 'EBAY_US', {
+            ratio: 12.5, sampleSize: 8, matchCount: 1, totalListings: 8,
+            typicalPhrases: ['Ring', 'necklace']
+        });
+        const profile = dbManager.getSellerProfile('seller123', 'EBAY_US', ['necklace', 'ring '], 7);
+        if (!profile || profile.ratio !== 12.5) {
+            throw new Error('Expected cached profile for the same phrase set');
+        }
+        if (dbManager.getSellerProfile('seller123', 'EBAY_US', ['brooch'], 7)) {
+            throw new Error('Profile should not be reused for different phrases');
+        }
+        if (dbManager.getSellerProfile('seller123', 'EBAY_GB', ['necklace', 'ring'], 7)) {
+            throw new Error('Profile should not be reused on another marketplace');
+        }
+        console.log('✅ Seller profile cached and matched by marketplace and phrase set');
+
+        // Test API usage ledger
+        console.log('\n9. Testing API usage ledger...');
+        dbManager.recordApiCall('2000-01-01', 'item_summary/search');
+        dbManager.recordApiCall('2000-01-01', 'item_summary/search');
+        const usageTotal = dbManager.recordApiCall('2000-01-01', 'oauth2/token');
+        const usage = dbManager.getApiUsage('2000-01-01');
+        if (usageTotal !== 3 || usage['item_summary/search'] !== 2 || usage['oauth2/token'] !== 1) {
+            throw new Error(`Unexpected API usage: ${JSON.stringify(usage)}`);
+        }
+        console.log('✅ API calls counted per endpoint:', usage);
+
+        // Test ranking saved results by seller score
+        console.log('\n10. Testing results ranked by seller score...');
+        const rankedId = dbManager.createAdhocSearch(['ranked phrase'], ['typical phrase'], 100, ['3000']);
+        dbManager.saveSearchResults(rankedId, [
+            { itemId: 'rank1', title: 'Low Score', price: 5, url: 'http://test.com/r1', sellerId: 'sellerA', sellerScore: 40 },
+            { itemId: 'rank2', title: 'No Score', price: 5, url: 'http://test.com/r2', sellerId: 'sellerB' },
+            { itemId: 'rank3', title: 'High Score', price: 5, url: 'http://test.com/r3', sellerId: 'sellerC', sellerScore: 85.5 }
+        ]);
+        const ranked = dbManager.getSearchResults(rankedId).map(result => result.item_id);
+        if (ranked.join() !== 'rank3,rank1,rank2') {
+            throw new Error(`Unexpected result order: ${ranked.join(', ')}`);
+        }
+        console.log('✅ Results ranked by seller score:', ranked.join(', '));
+
+        // Test seller overrides: a search's own override wins over a global one
+        console.log('\n11. Testing seller overrides...');
+        const globalId = dbManager.saveSellerOverride({ sellerId: 'Trusted_Seller', action: 'exclude', reason: 'dealer' });
+        const scopedId = dbManager.saveSellerOverride({ sellerId: 'trusted_seller', action: 'include', searchId });
+        dbManager.updateSellerOverride(globalId, { reason: 'known dealer' });
+        const scopedMap = dbManager.getSellerOverrideMap(searchId);
+        const globalMap = dbManager.getSellerOverrideMap(adhocId);
+        if (scopedMap.get('trusted_seller')?.action !== 'include' || globalMap.get('trusted_seller')?.reason !== 'known dealer') {
+            throw new Error(`Unexpected overrides: ${JSON.stringify([...scopedMap, ...globalMap])}`);
+        }
+        let duplicateRejected = false;
+        try {
+            dbManager.saveSellerOverride({ sellerId: 'TRUSTED_SELLER', action: 'include' });
+        } catch (error) {
+            duplicateRejected = error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+        }
+        const remainingIds = () => dbManager.getSellerOverrides().map(override => override.id);
+        if (!duplicateRejected || !dbManager.deleteSellerOverride(globalId) ||
+            remainingIds().includes(globalId) || !remainingIds().includes(scopedId)) {
+            throw new Error('Expected one override per seller and scope');
+        }
+        console.log('✅ Search override took precedence over the global one');
+
+        // Test price history: a new price updates the item and adds an observation
+        console.log('\n12. Testing price history...');
+        const historyBefore = dbManager.getPriceHistory('test123').length;
+        await dbManager.saveSearchResult(searchId, {
+            itemId: 'test123',
+            title: 'Test Item',
+            price: 8.5,
+            url: 'http://test.com',
+            sellerId: 'seller123',
+            previousPrice: 10.99
+        });
+        const saved = dbManager.getSearchResults(searchId).find(result => result.item_id === 'test123');
+        const history = dbManager.getPriceHistory('test123');
+        if (saved?.price !== 8.5 || saved.previous_price !== 10.99 || history.length !== historyBefore + 1 || history.at(-1).price !== 8.5) {
+            throw new Error(`Unexpected price history: ${JSON.stringify({ saved, history })}`);
+        }
+        console.log('✅ Price history recorded', history.length, 'observations');
+
     } catch (error) {
         console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    } finally {
+        dbManager.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+            await rm(process.env.SCANNER_DB_PATH + suffix, { force: true });
+        }
     }
 }
 
@@ -2,33 +2,380 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import path from 'path';
+import os from 'os';
+import { readFileSync } from 'fs';
+import { rm } from 'fs/promises';
+import { startMockEbayServer } from './mock-ebay/server.js';
 
 // Setup environment
 const __dirname = dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
-import { fetchListingsForPhrase } from '../src/services/ebay.js';
-import fetchAccessToken from '../src/services/auth.js';
+// Runs offline against tests/mock-ebay unless EBAY_TEST_LIVE=1 (needs real credentials)
+const LIVE = process.env.EBAY_TEST_LIVE === '1';
+
+let mockServer = null;
+if (!LIVE) {
+    mockServer = await startMockEbayServer();
+    process.env.EBAY_API_BASE_URL = mockServer.url;
+    process.env.EBAY_CLIENT_ID = 'mock-client-id';
+    process.env.EBAY_CLIENT_SECRET = 'mock-client-secret';
+    process.env.SELLER_PROFILE_TTL_DAYS = '0';
+    // A throwaway database, so earlier runs don't deduplicate the fixture items away
+    process.env.SCANNER_DB_PATH = path.join(os.tmpdir(), `scanner-test-ebay-${process.pid}.db`);
+}
+
+// Imported after the environment is set: the database opens on import
+const { default: dbManager } = await import('../src/db/DatabaseListingsManager.js');
+const { fetchListingsForPhrase, fetchSellerListings } = await import('../src/services/ebay.js');
+const { browseGet } = await import('../src/services/ebayHttp.js');
+const { getBrowseApiUrl } = await import('../src/services/ebayConfig.js');
+const { startScan, scanResults } = await import('../src/services/scanner.js');
+const { default: fetchAccessToken } = await import('../src/services/auth.js');
+const { recheckListings } = await import('../src/services/recheck.js');
 
 async function testEbayService() {
-    console.log('Testing eBay Service...');
+    console.log(`Testing eBay Service (${LIVE ? 'live eBay API' : `mock eBay API at ${mockServer.url}`})...`);
 
     try {
+        dbManager.init();
+
         // First get the access token
         console.log('\n1. Getting eBay access token...');
         const accessToken = await fetchAccessToken();
         console.log('✅ Access token obtained');
 
-        // Then test fetching listings
-        console.log('\n2. Testing fetchListingsForPhrase...');
-        const listings = await fetchListingsForPhrase(
-            accessToken,  // Use the token we just got
-            'test item',
-            ['typical phrase'],
-            100,
-            ['NEW']
+        if (LIVE) {
+            // Then test fetching listings
+            console.log('\n2. Testing fetchListingsForPhrase...');
+            const { listings, stats } = await fetchListingsForPhrase(
+                'test item',
+                ['typical phrase'],
+                100,
+                ['NEW']
+            );
+            console.log('✅ Fetched listings:', listings.length, 'found');
+            console.log('Phrase stats:', stats);
+            return;
+        }
+
+        // Offset paging through the search endpoint
+        console.log('\n2. Testing search paging...');
+        const firstPage = await browseGet(`${getBrowseApiUrl()}/item_summary/search?q=vintage&limit=5`, { accessToken });
+        const secondPage = await browseGet(firstPage.next, { accessToken });
+        if (firstPage.itemSummaries.length !== 5 || secondPage.offset !== 5 || firstPage.total <= 5) {
+            throw new Error(`Unexpected paging: ${JSON.stringify({ total: firstPage.total, next: firstPage.next })}`);
+        }
+        console.log('✅ Paged search:', firstPage.total, 'items,', secondPage.itemSummaries.length, 'on page 2');
+
+        // Seller analysis against the fixture sellers
+        console.log('\n3. Testing fetchListingsForPhrase...');
+        const { listings, stats } = await fetchListingsForPhrase(
+            'jewelry lot',
+            ['sterling', '14k'],
+            1000,
+            ['3000'] // Used
         );
-        console.log('✅ Fetched listings:', listings.length, 'found');
+        const sellers = listings.map(item => item.seller.username).sort();
+        if (sellers.join() !== 'estate_finds_co,garage_sale_sam') {
+            throw new Error(`Expected the two casual sellers to qualify, got: ${sellers.join(', ')}`);
+        }
+        if (stats.conditionFiltered !== 1 || stats.sellersAnalyzed !== 3) {
+            throw new Error(`Unexpected phrase stats: ${JSON.stringify(stats)}`);
+        }
+        console.log('✅ Qualified sellers:', sellers.join(', '));
+
+        // The whole pipeline: scan run, saved results and history
+        console.log('\n4. Testing a full scan...');
+        await startScan(['jewelry lot'], ['sterling', '14k'], 1000, ['3000']);
+        const scanRun = dbManager.getScanRunById(scanResults.scanId);
+        const savedResults = dbManager.getSearchResults(scanResults.searchId);
+        if (scanRun.status !== 'completed' || scanRun.total_listings !== 2 || savedResults.length !== 2) {
+            throw new Error(`Unexpected scan result: ${JSON.stringify(scanRun)}`);
+        }
+        console.log('✅ Scan completed:', savedResults.length, 'results saved to search', scanResults.searchId);
+
+        // A second scan skips the items the first one just saw
+        console.log('\n5. Testing deduplication on a rescan...');
+        await startScan(['jewelry lot'], ['sterling', '14k'], 1000, ['3000']);
+        const rescan = dbManager.getScanRunById(scanResults.scanId);
+        if (rescan.total_listings !== 0 || rescan.phrase_stats[0].duplicatesSkipped !== 2) {
+            throw new Error(`Unexpected rescan result: ${JSON.stringify(rescan)}`);
+        }
+        console.log('✅ Rescan skipped', rescan.phrase_stats[0].duplicatesSkipped, 'recently seen items');
+
+        // Marketplace is sent to eBay and its currency stored with the results
+        console.log('\n6. Testing a scan on another marketplace...');
+        await startScan(['bicycle'], ['sterling'], 1000, ['3000'], { marketplace: 'EBAY_GB' });
+        const [gbResult] = dbManager.getSearchResults(scanResults.searchId);
+        if (gbResult?.currency !== 'GBP' || gbResult.marketplace !== 'EBAY_GB' || dbManager.getSavedSearchById(scanResults.searchId).marketplace !== 'EBAY_GB') {
+            throw new Error(`Expected a GBP result on an EBAY_GB search, got: ${JSON.stringify(gbResult)}`);
+        }
+        console.log('✅ EBAY_GB result saved in', gbResult.currency);
+
+        // category_ids restricts the search (subcategories included)
+        console.log('\n7. Testing a category-restricted search...');
+        const { stats: categoryStats } = await fetchListingsForPhrase(
+            'vintage', ['sterling'], 1000, ['3000'], { categoryIds: ['20081'] }
+        );
+        if (categoryStats.itemsFetched !== 4) {
+            throw new Error(`Expected the 4 Antiques items, got ${categoryStats.itemsFetched}`);
+        }
+        console.log('✅ Category search fetched', categoryStats.itemsFetched, 'items');
+
+        // Price, buying format and listing age are sent as Browse filters
+        console.log('\n8. Testing listing filters...');
+        const filteredCounts = [];
+        for (const listingFilters of [
+            { maxPrice: 20 },
+            { maxPrice: 20, buyingOptions: ['AUCTION'] },
+            { listedWithinHours: 1 }
+        ]) {
+            const { stats: filterStats } = await fetchListingsForPhrase(
+                'jewelry lot', ['sterling'], 1000, ['3000'], { listingFilters }
+            );
+            filteredCounts.push(filterStats.itemsFetched);
+        }
+        // Two lots at $20 or less, one of them an auction; no fixture is an hour old
+        if (filteredCounts.join() !== '2,1,0') {
+            throw new Error(`Unexpected filtered item counts: ${filteredCounts.join(', ')}`);
+        }
+        console.log('✅ Filtered searches fetched', filteredCounts.join(' / '), 'items');
+
+        // Seller samples cover the whole store, not just one keyword's listings
+        console.log('\n9. Testing seller inventory sampling...');
+        const smallStore = await fetchSellerListings('garage_sale_sam', ['sterling'], { profileTtlDays: 0 });
+        const pagedStore = await fetchSellerListings('estate_finds_co', ['sterling'], { profileTtlDays: 0, sampleSize: 4 });
+        if (smallStore.sampleData.sampleSize !== 2 || smallStore.sampleData.coverage !== 1 ||
+            pagedStore.sampleData.method !== 'probe+paging' || pagedStore.sampleData.sampleSize !== 4 || pagedStore.total !== 7) {
+            throw new Error(`Unexpected samples: ${JSON.stringify([smallStore.sampleData, pagedStore.sampleData, pagedStore.total])}`);
+        }
+        console.log('✅ Sampled', smallStore.sampleData.sampleSize, 'of 2 and',
+            pagedStore.sampleData.sampleSize, 'of', pagedStore.total, `listings (${pagedStore.sampleData.method})`);
+
+        // 2 of estate_finds_co's 7 listings are under Jewelry & Watches, 1 title mentions sterling
+        console.log('\n10. Testing category-based specialist detection...');
+        const decisions = [];
+        for (const detectionMode of ['title', 'category', 'combined']) {
+            const analysis = await fetchSellerListings('estate_finds_co', ['sterling'], {
+                profileTtlDays: 0, detectionMode, specialistCategoryIds: ['281']
+            });
+            decisions.push(analysis.shouldExclude);
+            if (Math.round(analysis.titleRatio) !== 14 || Math.round(analysis.categoryRatio) !== 29) {
+                throw new Error(`Unexpected ratios: ${JSON.stringify(analysis)}`);
+            }
+        }
+        if (decisions.join() !== 'false,true,true') {
+            throw new Error(`Unexpected exclusions by mode: ${decisions.join(', ')}`);
+        }
+        // No EBAY_GB tree is stored, so the EBAY_US subtree of 281 must not be used there
+        const gbAnalysis = await fetchSellerListings('estate_finds_co', ['sterling'], {
+            profileTtlDays: 0, detectionMode: 'category', specialistCategoryIds: ['281'], marketplace: 'EBAY_GB'
+        });
+        if (gbAnalysis.categoryRatio !== 0) {
+            throw new Error(`EBAY_GB used the EBAY_US category tree: ${gbAnalysis.categoryRatio}`);
+        }
+        console.log('✅ Title mode includes, category and combined modes exclude the seller; ' +
+            'other marketplaces use their own category tree');
+
+        // estate_finds_co: 14.29% of 7 sampled titles match
+        console.log('\n11. Testing per-search ratio band and minimum sample size...');
+        const outcomes = [];
+        for (const thresholds of [
+            {},
+            { specialistThreshold: 10 },
+            { minRatio: 15 },
+            { minSampleSize: 10 }
+        ]) {
+            const analysis = await fetchSellerListings('estate_finds_co', ['sterling'], { profileTtlDays: 0, ...thresholds });
+            outcomes.push(analysis.outcome);
+        }
+        if (outcomes.join() !== 'qualified,specialist,unrelated,insufficient_data') {
+            throw new Error(`Unexpected outcomes: ${outcomes.join(', ')}`);
+        }
+        console.log('✅ Outcomes:', outcomes.join(', '));
+
+        // estate_finds_co qualifies with 6 unseen vintage listings (the jewelry lot was saved in step 4)
+        console.log('\n12. Testing listings kept per qualified seller...');
+        const keptCounts = [];
+        let cheapest = [];
+        for (const listingMode of ['first', 'all', 'cheapest']) {
+            const { listings: kept, stats: keptStats } = await fetchListingsForPhrase(
+                'vintage', ['sterling'], 1000, ['3000'], { listingMode, listingLimit: 2 }
+            );
+            keptCounts.push(keptStats.listingsQualified);
+            if (listingMode === 'cheapest') {
+                cheapest = kept.map(item => item.price.value);
+            }
+        }
+        if (keptCounts.join() !== '1,6,2' || cheapest.join() !== '18.00,22.50') {
+            throw new Error(`Unexpected kept listings: ${keptCounts.join(', ')} (cheapest: ${cheapest.join(', ')})`);
+        }
+        console.log('✅ Kept', keptCounts.join(' / '), 'listings; cheapest mode kept', cheapest.join(', '));
+
+        // Scored on the specialist ratio alone: 14.29% of a 20% threshold leaves 28.6
+        console.log('\n13. Testing seller scores...');
+        const seller = { profileTtlDays: 0, feedbackScore: 50, feedbackPercentage: '100.0' };
+        const defaultScore = (await fetchSellerListings('estate_finds_co', ['sterling'], seller)).score;
+        const ratioOnlyScore = (await fetchSellerListings('estate_finds_co', ['sterling'], {
+            ...seller,
+            scoreWeights: { specialistRatio: 1, feedbackScore: 0, feedbackPercentage: 0, inventorySize: 0, sampleConfidence: 0 }
+        })).score;
+        if (!(defaultScore > 0 && defaultScore <= 100) || ratioOnlyScore !== 28.6 ||
+            savedResults.some(result => result.seller_score === null)) {
+            throw new Error(`Unexpected scores: ${JSON.stringify({ defaultScore, ratioOnlyScore, savedResults })}`);
+        }
+        console.log('✅ Seller scored', defaultScore, 'with default weights and', ratioOnlyScore, 'on the ratio alone');
+
+        // Without overrides estate_finds_co qualifies and silver_specialist is excluded
+        console.log('\n14. Testing seller overrides...');
+        const overrideSearchId = dbManager.saveSearch('Override test', ['sterling'], ['sterling'], 1000, ['3000']);
+        const overrideIds = [
+            dbManager.saveSellerOverride({ sellerId: 'estate_finds_co', action: 'exclude', reason: 'known dealer' }),
+            dbManager.saveSellerOverride({ sellerId: 'silver_specialist', action: 'include', searchId: overrideSearchId })
+        ];
+        const overridden = [];
+        // The last run puts both sellers over the feedback threshold
+        for (const [searchId, feedbackThreshold] of [[overrideSearchId, 1000], [null, 1000], [overrideSearchId, 100]]) {
+            const { listings: kept, stats: overrideStats } = await fetchListingsForPhrase(
+                'sterling', ['sterling'], feedbackThreshold, ['3000'], { searchId }
+            );
+            overridden.push(`${kept.map(item => item.seller.username).join('+') || 'none'}/${overrideStats.sellersOverridden}`);
+        }
+        // The allowlist entry only applies to its own search, and both overrides win over the threshold
+        if (overridden.join() !== 'silver_specialist/2,none/1,silver_specialist/2') {
+            throw new Error(`Unexpected overridden results: ${overridden.join(', ')}`);
+        }
+        overrideIds.forEach(id => dbManager.deleteSellerOverride(id));
+        console.log('✅ Qualified sellers (seller/overridden):', overridden.join(', '));
+
+        // -earrings goes into q; the wildcard only filters locally ("Sterling Silver Jewelry Lot Rings")
+        console.log('\n15. Testing negative keywords...');
+        const { stats: excludedStats } = await fetchListingsForPhrase(
+            'jewelry lot', ['sterling'], 1000, ['3000'], { excludedTerms: ['earrings', 'ring*'] }
+        );
+        if (excludedStats.itemsFetched !== 4 || excludedStats.negativeKeywordFiltered !== 1) {
+            throw new Error(`Unexpected negative keyword stats: ${JSON.stringify(excludedStats)}`);
+        }
+        console.log('✅ eBay returned', excludedStats.itemsFetched, 'items;',
+            excludedStats.negativeKeywordFiltered, 'removed locally by negative keywords');
+
+        // The two cheapest vintage items are silver_specialist's $12 pin and estate_finds_co's $18 bowl
+        console.log('\n16. Testing pagination depth and sort order...');
+        const { listings: cheapestItems, stats: pagingStats } = await fetchListingsForPhrase(
+            'vintage', ['sterling'], 1000, ['3000'], { maxItems: 2, sortOrder: 'price' }
+        );
+        const { stats: fullStats } = await fetchListingsForPhrase('vintage', ['sterling'], 1000, ['3000']);
+        if (pagingStats.itemsFetched !== 2 || cheapestItems[0]?.price.value !== '18.00' ||
+            fullStats.pagesFetched !== 1 || fullStats.itemsFetched <= 2) {
+            throw new Error(`Unexpected paging: ${JSON.stringify({ pagingStats, fullStats })}`);
+        }
+        console.log('✅ Fetched', pagingStats.itemsFetched, 'cheapest items; all',
+            fullStats.itemsFetched, 'items in', fullStats.pagesFetched, 'page without an empty page request');
+
+        // The costume jewelry lot (saved in step 4, now $24.99) was last seen at $60
+        console.log('\n17. Testing price drop resurfacing...');
+        const lotId = 'v1|110000000001|0';
+        dbManager.recordPriceSightings([{ itemId: lotId, price: 60, currency: 'USD' }]);
+        const { listings: droppedItems, stats: dropStats } = await fetchListingsForPhrase(
+            'jewelry lot', ['sterling', '14k'], 1000, ['3000'], { priceDropPercent: 50 }
+        );
+        const { stats: repeatStats } = await fetchListingsForPhrase(
+            'jewelry lot', ['sterling', '14k'], 1000, ['3000'], { priceDropPercent: 50 }
+        );
+        const dropped = droppedItems.find(item => item.itemId === lotId);
+        if (dropStats.priceDropsResurfaced !== 1 || dropped?.priceDrop?.previousPrice !== 60 ||
+            dropped.priceDrop.dropPercent !== 58.4 || repeatStats.priceDropsResurfaced !== 0) {
+            throw new Error(`Unexpected price drops: ${JSON.stringify({ dropStats, repeatStats, priceDrop: dropped?.priceDrop })}`);
+        }
+        console.log('✅ Resurfaced', dropped.title, 'after a', dropped.priceDrop.dropPercent + '% drop;',
+            dbManager.getPriceHistory(lotId).length, 'price observations');
+
+        // Fixtures: the lot ended unsold, the ring is gone (404), the auction sold and the chair is live
+        console.log('\n18. Testing the listing recheck...');
+        const recheckSearchId = dbManager.createAdhocSearch(['recheck phrase'], ['sterling'], 1000, ['3000']);
+        dbManager.saveSearchResults(recheckSearchId, [1, 3, 5, 14].map(n => {
+            const itemId = `v1|1100000000${String(n).padStart(2, '0')}|0`;
+            return { itemId, title: `Item ${n}`, price: 10, url: 'https://www.ebay.com', sellerId: 'fixture' };
+        }));
+        const recheckStats = await recheckListings({ hours: 0, limit: 100 });
+        const { checked: checkedAgain } = await recheckListings();
+        const liveResults = dbManager.getSearchResults(recheckSearchId);
+        const allResults = dbManager.getSearchResults(recheckSearchId, { includeEnded: true });
+        const soldAuction = allResults.find(result => result.item_id === 'v1|110000000014|0');
+        if (recheckStats.ended !== 2 || recheckStats.sold !== 1 || recheckStats.failed !== 0 || checkedAgain !== 0 ||
+            liveResults.map(result => result.title).join() !== 'Item 3' || allResults.length !== 4 ||
+            soldAuction.listing_status !== 'sold' || soldAuction.final_price !== 21.5 ||
+            soldAuction.ended_at !== '2026-01-17T12:00:00.000Z') {
+            throw new Error(`Unexpected recheck: ${JSON.stringify({ recheckStats, checkedAgain, allResults })}`);
+        }
+        console.log('✅ Rechecked', recheckStats.checked, 'listings:', recheckStats.ended, 'ended,',
+            recheckStats.sold, 'sold; saved results show', liveResults.length, 'live listing');
+
+        // A cached analysis is reused only if it was computed with the current matcher and sampler
+        console.log('\n19. Testing seller profile cache reuse...');
+        const cacheOptions = { profileTtlDays: 7, marketplace: 'EBAY_US' };
+        await fetchSellerListings('silver_specialist', ['sterling'], cacheOptions);
+        const reused = await fetchSellerListings('silver_specialist', ['sterling'], cacheOptions);
+        const current = dbManager.getSellerProfile('silver_specialist', 'EBAY_US', ['sterling'], 7);
+        const recomputed = [];
+        for (const stale of [{ matcherVersion: 1 }, { sampleMethod: null }]) {
+            dbManager.saveSellerProfile('silver_specialist', 'EBAY_US', {
+                ratio: current.ratio, sampleSize: current.sample_size, matchCount: current.match_count,
+                totalListings: current.total_listings, sampleMethod: current.sample_method,
+                coverage: current.coverage, typicalPhrases: ['sterling'], matcherVersion: current.matcher_version,
+                ...stale
+            });
+            recomputed.push((await fetchSellerListings('silver_specialist', ['sterling'], cacheOptions)).cached);
+        }
+        if (!reused.cached || recomputed.some(Boolean)) {
+            throw new Error(`Unexpected cache use: ${JSON.stringify({ reused: reused.cached, recomputed })}`);
+        }
+        console.log('✅ Current profile reused; profiles from an older matcher or sampler recomputed');
+
+        // 250 items make two pages; the token expires at once and only one token request succeeds,
+        // so the second page fails to get a token
+        console.log('\n20. Testing a later page that fails after earlier pages were fetched...');
+        const fixtureItems = JSON.parse(readFileSync(path.join(__dirname, 'mock-ebay', 'fixtures', 'items.json'), 'utf8'));
+        const pagingServer = await startMockEbayServer({
+            fixtures: {
+                token: { access_token: 'short-lived-token', expires_in: 0 },
+                items: Array.from({ length: 250 }, (_, i) => ({ ...fixtureItems[0], itemId: `v1|paging-${i}|0` })),
+                tokenRequestLimit: 1
+            }
+        });
+        process.env.EBAY_API_BASE_URL = pagingServer.url;
+        let partialStats;
+        try {
+            ({ stats: partialStats } = await fetchListingsForPhrase(
+                fixtureItems[0].title.split(' ')[0], ['sterling'], 1000, []
+            ));
+        } finally {
+            process.env.EBAY_API_BASE_URL = mockServer.url;
+            await pagingServer.close();
+        }
+        if (partialStats.pagesFetched !== 1 || partialStats.itemsFetched !== 200 ||
+            !partialStats.errorRetryable || !partialStats.error?.includes('oauth2/token')) {
+            throw new Error(`Unexpected partial results: ${JSON.stringify(partialStats)}`);
+        }
+        console.log('✅ Kept', partialStats.itemsFetched, 'items from page 1 after:', partialStats.error);
+
+        // Filler words split the probes: "lot" finds the grab bag (262024), "bicycle" the bike (7294)
+        console.log('\n21. Testing category counts across several probes...');
+        const fillerWords = Array.from({ length: 9 }, (_, i) => `fillerword${i}`);
+        process.env.SELLER_SAMPLE_PROBES = ['lot', ...fillerWords, 'bicycle'].join(',');
+        let probeAnalysis;
+        try {
+            probeAnalysis = await fetchSellerListings('garage_sale_sam', ['sterling'], {
+                profileTtlDays: 0, detectionMode: 'category', specialistCategoryIds: ['7294']
+            });
+        } finally {
+            delete process.env.SELLER_SAMPLE_PROBES;
+        }
+        if (probeAnalysis.categoryRatio !== 50) {
+            throw new Error(`Expected half the listings under 7294, got ${probeAnalysis.categoryRatio}%`);
+        }
+        console.log('✅ Category ratio over both probes:', probeAnalysis.categoryRatio + '%');
 
     } catch (error) {
         console.error('❌ Test failed:', error);
@@ -37,9 +384,17 @@ async function testEbayService() {
             console.error('Response status:', error.response.status);
             console.error('Response data:', await error.response.text());
         }
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        dbManager.close();
+        if (mockServer) {
+            await mockServer.close();
+            for (const suffix of ['', '-wal', '-shm']) {
+                await rm(process.env.SCANNER_DB_PATH + suffix, { force: true });
+            }
+        }
     }
 }
 
 // Run the tests
-testEbayService(); 
\ No newline at end of file
+testEbayService();
@@ -0,0 +1,75 @@
+import { createTitleMatcher, matchesPattern } from '../src/utils/titleMatcher.js';
+
+// [pattern, title, expected]
+const CASES = {
+    'whole words': [
+        ['ring', 'Vintage Sterling Silver Ring Size 7', true],
+        ['ring', 'Gold Hoop Earring', false],
+        ['ring', 'Spring Garden Planter', false],
+        ['ring', 'Guitar String Set', false],
+        ['14k gold', 'Vintage 14K Gold Chain Necklace', true],
+        ['14k gold', 'Gold 14k Chain', false]
+    ],
+    'simple plurals': [
+        ['ring', 'Lot of 5 Rings', true],
+        ['rings', 'Solitaire Ring', true],
+        ['brooch', 'Costume Jewelry Brooches Necklaces', true],
+        ['lady', 'Ladies Watch', true],
+        ['case', 'Pocket Watch Cases', true],
+        ['earring', 'Ring Sizer Tool', false]
+    ],
+    'quoted phrases': [
+        ['"jewelry"', 'Jewelry Lot Grab Bag', true],
+        ['"jewelry"', 'Jewelrys Box', false],
+        ['"sterling silver"', 'Vintage Sterling Silver Locket', true],
+        ['"sterling silver"', 'Silver Sterling Locket', false],
+        ['"sterling" ring', 'Ring in Sterling', true]
+    ],
+    'wildcards': [
+        ['silver*', 'Silverware Set 12 Pieces', true],
+        ['silver*', 'Silver Tone Brooch', true],
+        ['*ring', 'Pearl Earrings', false],
+        ['*rings', 'Pearl Earrings', true]
+    ],
+    'negated terms': [
+        ['silver -plated', 'Sterling Silver Bracelet', true],
+        ['silver -plated', 'Silver Plated Tray', false],
+        ['ring -"mood ring"', 'Vintage Mood Ring', false],
+        ['-plated', 'Brass Candlestick', false]
+    ]
+};
+
+function testTitleMatcher() {
+    console.log('Testing Title Matcher...');
+    let failures = 0;
+
+    Object.entries(CASES).forEach(([group, cases], index) => {
+        console.log(`\n${index + 1}. Testing ${group}...`);
+        const failed = cases.filter(([pattern, title, expected]) => matchesPattern(title, pattern) !== expected);
+        for (const [pattern, title, expected] of failed) {
+            console.error(`❌ ${JSON.stringify(pattern)} vs ${JSON.stringify(title)}: expected ${expected}`);
+        }
+        if (failed.length === 0) {
+            console.log(`✅ ${cases.length} ${group} cases passed`);
+        }
+        failures += failed.length;
+    });
+
+    // Typical phrases qualify a title when any one of them matches
+    console.log(`\n${Object.keys(CASES).length + 1}. Testing a phrase set...`);
+    const matchesTypical = createTitleMatcher(['sterling', '14k', '']);
+    const matched = ['Vintage Sterling Silver Locket', 'Vintage 14k Gold Chain', 'Vintage Oak Side Chair']
+        .filter(matchesTypical);
+    if (matched.length === 2 && !createTitleMatcher([])('Sterling Ring')) {
+        console.log('✅ Phrase set matched', matched.length, 'of 3 titles');
+    } else {
+        console.error('❌ Unexpected phrase set matches:', matched);
+        failures++;
+    }
+
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
+}
+
+testTitleMatcher();
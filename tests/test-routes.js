@@ -0,0 +1,187 @@
+import dotenv from 'dotenv';
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import path from 'path';
+import os from 'os';
+import { rm } from 'fs/promises';
+import { startMockEbayServer } from './mock-ebay/server.js';
+
+// Setup environment
+const __dirname = dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// The API routes run offline against tests/mock-ebay, on a throwaway database
+const mockServer = await startMockEbayServer();
+process.env.EBAY_API_BASE_URL = mockServer.url;
+process.env.EBAY_CLIENT_ID = 'mock-client-id';
+process.env.EBAY_CLIENT_SECRET = 'mock-client-secret';
+process.env.SELLER_PROFILE_TTL_DAYS = '0';
+process.env.SCANNER_DB_PATH = path.join(os.tmpdir(), `scanner-test-routes-${process.pid}.db`);
+
+// Imported after the environment is set: the database opens on import
+const { default: dbManager } = await import('../src/db/DatabaseListingsManager.js');
+const { default: apiRoutes } = await import('../src/routes/api.js');
+
+// The API routes alone, on a free port (no scheduler or recheck job)
+function startApp() {
+    dbManager.init();
+    const app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+let baseUrl = null;
+
+// Sends a request to the app; resolves to { status, body } (body is null when empty)
+async function request(method, url, body) {
+    const response = await fetch(`${baseUrl}/api${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+function expectStatus(response, status, what) {
+    if (response.status !== status) {
+        throw new Error(`${what}: expected ${status}, got ${response.status} ${JSON.stringify(response.body)}`);
+    }
+}
+
+// Polls a scan run until it is no longer running
+async function waitForScan(scanId, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const { body: run } = await request('GET', `/scans/${scanId}`);
+        if (run.status !== 'running') return run;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`Scan ${scanId} still running after ${timeoutMs}ms`);
+}
+
+const jewelrySearch = {
+    searchPhrases: ['jewelry lot'],
+    typicalPhrases: ['sterling', '14k'],
+    feedbackThreshold: 1000,
+    conditions: ['3000']
+};
+
+async function testApiRoutes() {
+    console.log(`Testing API routes (mock eBay API at ${mockServer.url})...`);
+
+    let server = null;
+    try {
+        server = await startApp();
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        console.log('\n1. Testing scan request validation...');
+        const missing = await request('POST', '/scan', { searchPhrases: ['jewelry lot'] });
+        expectStatus(missing, 400, 'Scan without parameters');
+        expectStatus(await request('POST', '/scan', { ...jewelrySearch, marketplace: 'EBAY_XX' }), 400, 'Unknown marketplace');
+        expectStatus(await request('POST', '/scan', { ...jewelrySearch, searchId: 9999 }), 404, 'Unknown saved search');
+        console.log('✅ Missing parameters:', JSON.stringify(missing.body.details));
+
+        // The scan waits a second before its first request, so it is still running here
+        console.log('\n2. Testing a background scan, its progress and cancellation...');
+        const started = await request('POST', '/scan', { ...jewelrySearch, searchPhrases: ['vintage'] });
+        expectStatus(started, 202, 'Scan start');
+        const { scanId, statusUrl } = started.body;
+        expectStatus(await request('POST', '/scan', jewelrySearch), 409, 'Second scan');
+        const running = await request('GET', `/scans/${scanId}`);
+        if (statusUrl !== `/api/scans/${scanId}` || running.body.status !== 'running' || !running.body.progress) {
+            throw new Error(`Unexpected running scan: ${JSON.stringify({ statusUrl, run: running.body })}`);
+        }
+        expectStatus(await request('POST', '/scan/cancel'), 202, 'Cancel');
+        const cancelled = await waitForScan(scanId);
+        expectStatus(await request('POST', '/scan/cancel'), 409, 'Cancel without a scan');
+        if (cancelled.status !== 'cancelled') {
+            throw new Error(`Expected a cancelled scan, got ${cancelled.status}`);
+        }
+        console.log('✅ Scan', scanId, 'ran in the background and was', cancelled.status);
+
+        console.log('\n3. Testing schedule validation...');
+        const scheduled = { ...jewelrySearch, name: 'Routes test' };
+        expectStatus(await request('POST', '/saves/search', { ...scheduled, schedule: 'sometimes' }), 400, 'Invalid schedule');
+        const neverRuns = await request('POST', '/saves/search', { ...scheduled, schedule: '0 0 30 2 *' });
+        expectStatus(neverRuns, 400, 'Schedule that never runs');
+        const saved = await request('POST', '/saves/search', scheduled);
+        expectStatus(saved, 201, 'Save search');
+        const searchId = saved.body.id;
+        expectStatus(await request('PUT', `/saves/search/${searchId}/schedule`, { schedule: '0 0 30 2 *' }), 400, 'Schedule update that never runs');
+        expectStatus(await request('PUT', '/saves/search/9999/schedule', { schedule: '7d' }), 404, 'Schedule of an unknown search');
+        expectStatus(await request('PUT', `/saves/search/${searchId}/schedule`, { schedule: '7d' }), 200, 'Schedule update');
+        const { body: withSchedule } = await request('GET', `/saves/search/${searchId}`);
+        if (withSchedule.schedule !== '7d' || !withSchedule.next_run_at) {
+            throw new Error(`Schedule not stored: ${JSON.stringify(withSchedule)}`);
+        }
+        console.log('✅ Rejected:', neverRuns.body.error, '- stored', withSchedule.schedule, 'next run', withSchedule.next_run_at);
+
+        // The body's phrases are ignored: the scan uses the saved search's own
+        console.log('\n4. Testing a saved search scan...');
+        const savedScan = await request('POST', '/scan', { ...jewelrySearch, searchPhrases: ['bicycle'], searchId });
+        expectStatus(savedScan, 202, 'Saved search scan');
+        const savedRun = await waitForScan(savedScan.body.scanId);
+        if (savedRun.status !== 'completed' || savedRun.search_id !== searchId ||
+            savedRun.parameters.searchPhrases.join() !== 'jewelry lot') {
+            throw new Error(`Unexpected saved search scan: ${JSON.stringify(savedRun)}`);
+        }
+        console.log('✅ Saved search scan found', savedRun.total_listings, 'listings for', savedRun.parameters.searchPhrases);
+
+        console.log('\n5. Testing API usage...');
+        const { body: usage } = await request('GET', '/usage');
+        if (!(usage.used > 0) || !(usage.limit > 0) || !Array.isArray(usage.history)) {
+            throw new Error(`Unexpected usage: ${JSON.stringify(usage)}`);
+        }
+        console.log('✅ API usage:', `${usage.used}/${usage.limit}`);
+
+        console.log('\n6. Testing seller overrides...');
+        expectStatus(await request('POST', '/sellers/overrides', { sellerUsername: 'estate_finds_co', action: 'ban' }), 400, 'Invalid action');
+        const override = await request('POST', '/sellers/overrides', { sellerUsername: 'estate_finds_co', action: 'exclude', searchId });
+        expectStatus(override, 201, 'Add override');
+        const duplicate = await request('POST', '/sellers/overrides', { sellerUsername: 'Estate_Finds_Co', action: 'include', searchId });
+        expectStatus(duplicate, 409, 'Duplicate override');
+        const { body: scopedOverrides } = await request('GET', `/sellers/overrides?searchId=${searchId}`);
+        if (!scopedOverrides.some(({ id }) => id === override.body.id)) {
+            throw new Error(`Override not listed: ${JSON.stringify(scopedOverrides)}`);
+        }
+        expectStatus(await request('DELETE', `/sellers/overrides/${override.body.id}`), 204, 'Delete override');
+        expectStatus(await request('DELETE', `/sellers/overrides/${override.body.id}`), 404, 'Delete deleted override');
+        console.log('✅ Override added, duplicate rejected:', duplicate.body.error);
+
+        // Only the EBAY_US tree is stored in the project root
+        console.log('\n7. Testing category autocomplete...');
+        const { body: usCategories } = await request('GET', '/categories?q=jewelry&limit=5');
+        const { body: gbCategories } = await request('GET', '/categories?q=jewelry&marketplace=EBAY_GB');
+        expectStatus(await request('GET', '/categories?q=jewelry&marketplace=EBAY_XX'), 400, 'Unknown marketplace');
+        if (usCategories.length === 0 || usCategories.length > 5 || gbCategories.length !== 0) {
+            throw new Error(`Unexpected categories: ${JSON.stringify({ usCategories, gbCategories })}`);
+        }
+        console.log('✅ Categories found:', usCategories.map(category => category.categoryId).join(', '));
+
+    } catch (error) {
+        console.error('❌ Test failed:', error);
+        process.exitCode = 1;
+    } finally {
+        if (server) {
+            await new Promise(done => {
+                server.close(done);
+                server.closeAllConnections();
+            });
+        }
+        dbManager.close();
+        await mockServer.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+            await rm(process.env.SCANNER_DB_PATH + suffix, { force: true });
+        }
+    }
+}
+
+// Run the tests
+testApiRoutes();